@@ -0,0 +1,71 @@
+/**
+ * Connection adapters, which wrap the handles of database drivers other than mysql
+ * so that they can be used by a filter in the same way as a mysql connection: with
+ * a query(query, callback) method whose results look like those from mysql
+ *
+ * (c) 2013, Greg Malysa <gmalysa@stanford.edu>
+ * Permission to use governed by the terms of the MIT license. See LICENSE for details
+ */
+
+var _ = require('underscore');
+var d = require('./dialects');
+
+/*******************************************************************************
+ * Adapter for a database handle from the sqlite3 package. Statements that return
+ * rows produce an array of row objects, and other statements produce an object
+ * with affectedRows and insertId, like the mysql OkPacket
+ ******************************************************************************/
+function SQLiteAdapter(handle) {
+	this.handle = handle;
+}
+
+/**
+ * Checks if a connection object is a sqlite3 database handle, rather than a mysql
+ * connection or something that has been adapted already
+ * @param conn The connection object to check
+ * @return bool True if this is a sqlite3 handle
+ */
+SQLiteAdapter.is_handle = function(conn) {
+	return !!conn && _.isFunction(conn.all) && _.isFunction(conn.run) && !_.isFunction(conn.query);
+};
+
+/**
+ * Checks if a statement will return rows, which determines the sqlite3 method used to run it.
+ * Compound queries may start with a parenthesized SELECT
+ * @param sql The SQL statement
+ * @return bool True if rows are expected
+ */
+SQLiteAdapter.returns_rows = function(sql) {
+	return /^[\s(]*(SELECT|WITH|PRAGMA|EXPLAIN|VALUES)\b/i.test(sql) || /\sRETURNING\s/i.test(sql);
+};
+
+/**
+ * Executes a query with the same interface as a mysql connection
+ * @param query The SQL string, or an object with sql and (optionally) values
+ * @param cb Callback taking an error and the results
+ */
+SQLiteAdapter.prototype.query = function(query, cb) {
+	var sql = _.isString(query) ? query : query.sql;
+	var values = (_.isString(query) ? [] : query.values) || [];
+
+	// sqlite3 would store Dates as numbers, so convert them in the same way as the dialect
+	values = values.map(function(v) {
+		return (v instanceof Date) ? d.dialects.sqlite.datetime(v) : v;
+	});
+
+	if (SQLiteAdapter.returns_rows(sql)) {
+		this.handle.all(sql, values, function(err, rows) {
+			cb(err, rows);
+		});
+	}
+	else {
+		this.handle.run(sql, values, function(err) {
+			if (err)
+				cb(err);
+			else
+				cb(null, {affectedRows : this.changes, insertId : this.lastID});
+		});
+	}
+};
+
+module.exports.SQLiteAdapter = SQLiteAdapter;
@@ -6,7 +6,7 @@
  * Permission to use governed by the terms of the MIT license. See LICENSE for details
  */
 
-var mysql = require('mysql');
+var _ = require('underscore');
 var op = require('./operator_base.js');
 
 /*******************************************************************************
@@ -38,6 +38,20 @@ BinaryCondition.prototype.constructor = BinaryCondition;
  * @see Operator.get for parameter information
  */
 BinaryCondition.prototype.get = function(key, filter, options) {
+	if (this.rval === undefined && options && options.row && this.name == '$eq') {
+		// Decoding a row for a multi-row INSERT, so save the value instead of comparing
+		var params = options.row_params ? [] : undefined;
+		options.row[key] = this.eval(this.value, key, filter, _.extend({}, options, {params : params}));
+		if (params)
+			options.row_params[key] = params;
+		return '';
+	}
+
+	if (this.rval === undefined && options && options.assign) {
+		// Assigning to the column, which is never prefixed, even if the value refers to other columns by table
+		return filter.escapeKey(key, _.extend({}, options, {useName : false})) + ' ' + this.fn + ' ' + this.eval(this.value, key, filter, options);
+	}
+
 	if (this.rval === undefined)
 		return filter.escapeKey(key, options) + ' ' + this.fn + ' ' + this.eval(this.value, key, filter, options);
 	else
@@ -68,6 +82,14 @@ BinaryConditionFree.prototype.get = function(key, filter, options) {
 	return this.eval(this.lval, key, filter, options) + ' ' + this.fn+ ' ' + this.eval(this.rval, key, filter, options);
 };
 
+/**
+ * Both sides of the comparison are given, so the column is not used
+ * @see Operator.usesKey()
+ */
+BinaryConditionFree.prototype.usesKey = function() {
+	return false;
+};
+
 /*******************************************************************************
  * Checks if a value is in an array, comes in two forms, one that fixes the key and one that
  * allows a free lvalue
@@ -87,7 +109,14 @@ ArrayCondition.prototype.constructor = ArrayCondition;
  */
 ArrayCondition.prototype.get = function(key, filter, options) {
 	var lval, rval;
-	
+	var list = (this.rval === undefined) ? this.lval : this.rval;
+
+	// A subquery provides its own parentheses
+	if (op.is_query(list)) {
+		lval = (this.rval === undefined) ? filter.escapeKey(key, options) : this.eval(this.lval, key, filter, options);
+		return lval + (this.invert ? ' NOT' : '') + ' IN ' + this.eval(list, key, filter, options);
+	}
+
 	if (this.rval === undefined) {
 		lval = filter.escapeKey(key, options);
 		rval = this.lval.map(function(v) {
@@ -103,6 +132,14 @@ ArrayCondition.prototype.get = function(key, filter, options) {
 	return lval + (this.invert ? ' NOT' : '') + ' IN (' + rval.join(', ') + ')';
 };
 
+/**
+ * The column is only used if no lvalue was given
+ * @see Operator.usesKey()
+ */
+ArrayCondition.prototype.usesKey = function() {
+	return this.rval === undefined;
+};
+
 /*******************************************************************************
  * Creates a regular expression comparison
  ******************************************************************************/
@@ -126,7 +163,7 @@ RegexCondition.prototype.constructor = RegexCondition;
  * @see Operator.get for parameter information
  */
 RegexCondition.prototype.get = function(key, filter, options) {
-	return filter.escapeKey(key, options) + (this.invert ? ' NOT' : '') + ' REGEXP ' + mysql.escape(this.pattern);
+	return filter.escapeKey(key, options) + ' ' + filter.get_dialect().regex(this.invert) + ' ' + filter.escape_value(this.pattern, options);
 };
 
 /*******************************************************************************
@@ -147,7 +184,111 @@ LikeCondition.prototype.constructor = LikeCondition;
  * @see Operator.get for parameter information
  */
 LikeCondition.prototype.get = function(key, filter, options) {
-	return filter.escapeKey(key, options) + (this.invert ? ' NOT' : '') + ' LIKE ' + mysql.escape(this.pattern);
+	return filter.escapeKey(key, options) + (this.invert ? ' NOT' : '') + ' LIKE ' + filter.escape_value(this.pattern, options);
+};
+
+/*******************************************************************************
+ * Checks whether a subquery returns any rows. The column name is ignored
+ ******************************************************************************/
+function ExistsCondition(name, query, inv) {
+	Conditional.call(this, name);
+	this.query = query;
+	this.invert = inv;
+}
+ExistsCondition.prototype = new Conditional();
+ExistsCondition.prototype.constructor = ExistsCondition;
+
+/**
+ * get() implementation, which includes the subquery verbatim
+ * @see Operator.get for parameter information
+ */
+ExistsCondition.prototype.get = function(key, filter, options) {
+	return (this.invert ? 'NOT ' : '') + 'EXISTS ' + this.eval(this.query, key, filter, options);
+};
+
+/**
+ * @see Operator.usesKey()
+ */
+ExistsCondition.prototype.usesKey = function() {
+	return false;
+};
+
+/*******************************************************************************
+ * Groups several conditions together, joined by AND or OR, with parentheses so
+ * that they can be combined with other terms safely. Each term may either be a
+ * nested where object, which is decoded by the filter exactly like a top level
+ * where clause, or a bare value/operator, which is applied to the key that this
+ * group was used with
+ ******************************************************************************/
+function GroupCondition(name, sep, terms, inv) {
+	Conditional.call(this, name);
+	this.sep = sep;
+	this.terms = terms;
+	this.invert = inv;
+}
+GroupCondition.prototype = new Conditional();
+GroupCondition.prototype.constructor = GroupCondition;
+
+/**
+ * Checks if a value is a plain object that should be decoded as a nested where
+ * clause, rather than a value to be escaped
+ * @param value The value to check
+ * @return bool True if this is a where object
+ */
+function is_where(value) {
+	return value !== null && typeof value == 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+/**
+ * get() implementation, which decodes each term through the filter, using the same
+ * special handling and type conversion as a where clause, and then joins them
+ * @see Operator.get for parameter information
+ */
+GroupCondition.prototype.get = function(key, filter, options) {
+	var terms = [];
+	var list = this.terms;
+
+	// A single object is treated as a where clause whose terms are all grouped
+	if (is_where(list)) {
+		_.each(list, filter.process.bind(filter, terms, options));
+	}
+	else {
+		if (!_.isArray(list))
+			list = [list];
+
+		_.each(list, function(v) {
+			if (is_where(v)) {
+				var subterms = [];
+				_.each(v, filter.process.bind(filter, subterms, options));
+				if (subterms.length > 1)
+					terms.push('(' + subterms.join(' AND ') + ')');
+				else if (subterms.length == 1)
+					terms.push(subterms[0]);
+			}
+			else {
+				filter.process(terms, options, v, key);
+			}
+		});
+	}
+
+	// An empty OR can never match and an empty AND always does
+	var result;
+	if (terms.length == 0)
+		result = filter.get_dialect().bool(this.sep != ' OR ');
+	else
+		result = '(' + terms.join(this.sep) + ')';
+
+	if (this.invert)
+		return 'NOT ' + result;
+	return result;
+};
+
+/**
+ * The terms name their own columns
+ * @see Operator.usesKey()
+ */
+GroupCondition.prototype.usesKey = function() {
+	return false;
 };
 
 /*******************************************************************************
@@ -193,6 +334,15 @@ operators.$like = function(pattern) { return new LikeCondition('$like', pattern,
 operators.$not_regex = function(pattern) { return new RegexCondition('$not_regex', pattern, true); }
 operators.$not_like = function(pattern) { return new LikeCondition('$not_like', pattern, true); }
 
+// Subquery operators
+operators.$exists = function(query) { return new ExistsCondition('$exists', query, false); };
+operators.$not_exists = function(query) { return new ExistsCondition('$not_exists', query, true); };
+
+// Logical grouping operators
+operators.$or = function(terms) { return new GroupCondition('$or', ' OR ', terms, false); };
+operators.$and = function(terms) { return new GroupCondition('$and', ' AND ', terms, false); };
+operators.$not_group = function(terms) { return new GroupCondition('$not_group', ' AND ', terms, true); };
+
 // Export just the list of operators and the base class definition
 module.exports.Conditional = Conditional;
 module.exports.operators = operators;
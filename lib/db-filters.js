@@ -1,7 +1,7 @@
 /**
  * Automatic query generation tools to simplify writing SQL and interacting with
- * databases. Currently, this supports MySQL, but ideally it'd be able to generate
- * valid queries for a wide variety of databases, facilitating backend changes.
+ * databases. Queries are generated through a dialect (see dialects.js), so that
+ * valid queries can be produced for a variety of databases, facilitating backend changes.
  *
  * The main purpose is to provide a more powerful interface for specifying data to
  * be sent to the database, allowing complete types to be used transparently, with
@@ -13,11 +13,20 @@
  */
 
 var _ = require('underscore');
-var mysql = require('mysql');
 var fs = require('fs');
 
+// Expose the database class as our export, but not the query classes, because those are only produced by us.
+// This is done before loading the other modules, because queries.js requires this one in turn
+module.exports = db;
+
 var op = require('./operators');
 var q = require('./queries');
+var d = require('./dialects');
+var a = require('./adapters');
+var e = require('./errors');
+
+// Transaction depth for each connection that has an open transaction, for savepoints
+var transactions = new WeakMap();
 
 /**
  * Constructor for the db filter takes options to define the table that it will be
@@ -29,6 +38,14 @@ var q = require('./queries');
 function db(table, columns, special) {
 	this.queries = {};		//!< Queries that have been executed, for stats and information
 	this.conn = null;		//!< The connection to use for SQL query execution
+	this.pool = null;		//!< The pool to acquire a connection from for each query, if conn isn't set
+	this.dialect = null;	//!< The SQL dialect for this filter, if different from the global one
+	this.alias = '';		//!< The default alias for this table in queries, @see as()
+	this.cte = null;		//!< Common table expression that defines this table, @see db.with()
+	this.model = null;		//!< Constructor that rows read from this table are passed to, @see set_model()
+	this.timezone = null;	//!< The timezone for dates in this table, if different from the global one
+	this.strict = null;		//!< Should invalid values be rejected, if different from the global setting, @see set_strict()
+	this.decode = null;		//!< Should rows read be decoded for the column types, if different from the global setting, @see set_decode()
 
 	this.table = table;
 	this.columns = columns || {};
@@ -40,6 +57,39 @@ function db(table, columns, special) {
 	}, this);
 }
 
+/**
+ * Turns a filter into one for a common table expression. Its columns are the fields that the
+ * query selects, or the names given for them, in order, and each has the type of the column
+ * that its field comes from. Fields that are expressions have no known type, so their values
+ * are escaped as they are, like text
+ * @param filter The filter for the CTE, whose columns are replaced
+ * @param query The query that defines the CTE's rows
+ * @param columns Array of names for the CTE's columns, optional
+ * @param recursive Does the query refer to the CTE itself
+ * @return filter
+ */
+function define_cte(filter, query, columns, recursive) {
+	var source = query._tables[0].filter;
+	var outputs = query.getOutputs();
+
+	filter.columns = {};
+	_.each(columns || _.pluck(outputs, 'name'), function(name, i) {
+		var v = outputs[i];
+		if (v && v.column !== null && v.filter.columns[v.column] !== undefined)
+			filter.columns[name] = v.filter.columns[v.column];
+		else
+			filter.columns[name] = db.text_t;
+		filter.c[name] = filter.c[name] || op.operators.$field(name, filter);
+	});
+
+	filter.special = source.special;
+	filter.cte = {name : filter.table, query : query, columns : columns, recursive : recursive};
+	filter.dialect = source.dialect;
+	filter.conn = source.conn;
+	filter.pool = source.pool;
+	return filter;
+}
+
 // Static/constant definition
 _.extend(db, {
 	// Database field constants
@@ -51,6 +101,16 @@ _.extend(db, {
 	text_t : 5,				//!< Long text field. Falls back to mysql.escape(). Included so that we can add all fields to the declaration
 	char_t : 6,				//!< Should be used in an array with the length of the field
 	bigint_t : 7,			//!< A BIGINT field is handled like a string but doesn't get quotes, so we verify it's a string containing an int only
+	decimal_t : 8,			//!< DECIMAL/NUMERIC, handled as a string to keep precision. May be used in an array with the precision and scale
+	float_t : 9,			//!< FLOAT, DOUBLE, or REAL field, converted to a javascript number
+	double_t : 9,			//!< Alias for FLOAT, as both are implemented the same way
+	bool_t : 10,			//!< BOOLEAN or TINYINT(1) field, values are converted to true or false
+	enum_t : 11,			//!< Should be used in an array with the list of allowed values, which are checked
+	set_t : 12,				//!< Should be used in an array with the list of allowed members. Values may be arrays or comma separated strings
+	json_t : 13,			//!< JSON field, values are serialized with JSON.stringify()
+	blob_t : 14,			//!< BLOB, BINARY, or VARBINARY field, values are converted to Buffers and sent as binary literals
+	time_t : 15,			//!< TIME field, accepts Date objects (for the time of day), numbers of seconds, or strings
+	year_t : 16,			//!< YEAR field, accepts Date objects or numbers
 	
 	// Logging levels
 	l_debug : 3,			//!< Provides debugging-quality output, including verbose query information and incorrect usage info (i.e. calling limit() on an InsertQuery)
@@ -65,17 +125,45 @@ _.extend(db, {
 	// Query stats tracking
 	do_stats : true,		//!< Flag indicating whether or not to save query statistics
 
+	// Query parameterization
+	use_params : false,		//!< Flag indicating whether exec() sends values separately, with ? placeholders
+
+	// Multi-row INSERT limits, beyond which the rows are split into several statements
+	insert_max_rows : 1000,			//!< Maximum number of rows in a single INSERT statement
+	insert_max_size : 1048576,		//!< Maximum length in bytes of a single INSERT statement (MySQL's default max_allowed_packet)
+
+	// SQL dialects
+	dialects : d.dialects,	//!< Map of dialect names to the dialect instances that are available
+	dialect : d.dialects.mysql,	//!< The dialect used by filters that don't specify their own
+	timezone : null,		//!< The timezone used by filters that don't specify their own, null uses the dialect's
+
+	// Strict validation
+	strict : false,			//!< Should invalid values be rejected by filters that don't specify their own setting
+
+	// Decoding result rows
+	decode : false,			//!< Should rows read be decoded for the column types by filters that don't specify their own setting
+	validation_errors : null,	//!< Invalid values found while building the current query in strict mode
+	ValidationError : e.ValidationError,	//!< Error listing the invalid values in a query, in strict mode
+	QueryError : e.QueryError,	//!< Error for queries that can't be built for their dialect
+	Dialect : d.Dialect,	//!< Dialect base class, for defining additional dialects
+	SQLiteAdapter : a.SQLiteAdapter,	//!< Wraps a sqlite3 database handle to behave like a mysql connection
+
 	// A place to store filter definitions on the main tree
 	filters : {},			//!< Map of filter names to filter definitions, where stuff is stored
 
+	// Custom column types
+	types : {},				//!< Map of type names to the custom types defined with define_type()
+
 	/**
 	 * Static initialization routine, this is used to take a folder of filter definitions
 	 * and import them automatically, so that you don't have to manually update it as
 	 * table definitions are added/removed
 	 * @param path The path to where all of the table definitions are stored
 	 * @param log Callback to invoke for each file to be read to log the action, optional
+	 * @param log_level The logging level to use, optional
+	 * @param pool Connection pool to give to every filter, optional
 	 */
-	init : function(path, log, log_level) {
+	init : function(path, log, log_level, pool) {
 		db.set_log(log);
 		db.set_log_level(log_level);
 
@@ -95,6 +183,83 @@ _.extend(db, {
 			var filter = require(path+'/'+f);
 			filter(db);
 		});
+
+		if (pool)
+			db.set_conn_all(pool, db.filters);
+	},
+
+	/**
+	 * Checks if a connection object is actually a connection pool, from which a connection
+	 * must be acquired (and later released) for each use
+	 * @param conn The connection object to check
+	 * @return bool True if this is a pool
+	 */
+	is_pool : function(conn) {
+		return !!conn && _.isFunction(conn.getConnection);
+	},
+
+	/**
+	 * Combines the results of several select queries with UNION, removing duplicate rows
+	 * @param varargs The queries to combine, or one array of queries
+	 * @return Query object that can have its order and limit modified before executing
+	 */
+	union : function() {
+		return new q.CompoundQuery('UNION', _.flatten(arguments, true));
+	},
+
+	/**
+	 * Combines the results of several select queries with UNION ALL, keeping duplicate rows
+	 * @see union()
+	 */
+	union_all : function() {
+		return new q.CompoundQuery('UNION ALL', _.flatten(arguments, true));
+	},
+
+	/**
+	 * Retrieves the rows that are returned by all of several select queries
+	 * @see union()
+	 */
+	intersect : function() {
+		return new q.CompoundQuery('INTERSECT', _.flatten(arguments, true));
+	},
+
+	/**
+	 * Retrieves the rows returned by the first select query that aren't returned by the others
+	 * @see union()
+	 */
+	except : function() {
+		return new q.CompoundQuery('EXCEPT', _.flatten(arguments, true));
+	},
+
+	/**
+	 * Defines a common table expression, which is included in a WITH clause by any query that
+	 * uses it. The returned filter is used like any other: to select from, to join, or to
+	 * refer to its fields. Its columns are the fields selected by the query, or the names
+	 * given for them, and have the types of the columns they come from
+	 * @param name The name of the CTE
+	 * @param query The query that defines the CTE's rows
+	 * @param columns Array of names for the CTE's columns, optional
+	 * @return Filter for the CTE
+	 */
+	with : function(name, query, columns) {
+		return define_cte(new db(name, {}, {}), query, columns, false);
+	},
+
+	/**
+	 * Defines a recursive common table expression, whose query refers to the CTE itself. The
+	 * query is created by a function, which is given the CTE's filter, and is usually the
+	 * UNION ALL of a query for the initial rows and a query that joins the CTE. The filter's
+	 * fields (filter.c) can only be used in that query if the column names are given
+	 * @param name The name of the CTE
+	 * @param fn Function taking the CTE filter and returning the query that defines its rows
+	 * @param columns Array of names for the CTE's columns, optional
+	 * @return Filter for the CTE
+	 */
+	with_recursive : function(name, fn, columns) {
+		var filter = new db(name, _.object(columns || [], _.map(columns || [], function() {
+			return db.text_t;
+		})), {});
+		return define_cte(filter, fn(filter), columns, true);
 	},
 
 	/**
@@ -106,6 +271,24 @@ _.extend(db, {
 		db.filters[name] = filter;
 	},
 
+	/**
+	 * Defines a custom column type, which converts values both when they are placed in
+	 * queries and when they are read from rows returned by exec(). Columns use the type by
+	 * giving its name (or the returned object) as their type. The conversion functions are:
+	 * toDB - function(value), returns the value to send to the database, which may be an operator
+	 * fromDB - function(value), returns the value to use in place of one read from the database
+	 * validate - function(value), returns false if the value may not be stored in the column
+	 * Each is optional, and none of them are called for null values
+	 * @param name The name of the type
+	 * @param spec Object with the conversion functions
+	 * @return Object the type definition
+	 */
+	define_type : function(name, spec) {
+		var type = _.extend({name : name}, _.pick(spec || {}, 'toDB', 'fromDB', 'validate'));
+		db.types[name] = type;
+		return type;
+	},
+
 	/**
 	 * Clones all of the filters that have been defined and returns them as a single hash with the
 	 * same reference names they were defined as. Convenience provided for the instance clone method
@@ -133,6 +316,122 @@ _.extend(db, {
 		});
 	},
 
+	/**
+	 * Runs a function inside of a transaction on the given connection. The filters are cloned
+	 * and bound to the connection, and passed to the function along with a callback, which
+	 * should be called as done(err, result) when the work is finished. The transaction is
+	 * committed if done() is called without an error, and rolled back if there is an error
+	 * or an exception is thrown. The function may instead return a Promise, whose result is
+	 * handled the same way. Calling transaction() again with the same connection before the
+	 * first one finishes uses a savepoint, so that only the nested work is rolled back.
+	 * If no callbacks are given, a Promise for the result is returned instead
+	 * @param conn The connection to run the transaction on
+	 * @param filters The collection of filters to clone for the transaction, defaults to db.filters
+	 * @param fn Function taking the cloned filters and the done callback
+	 * @param success Callback invoked with the result after committing, optional
+	 * @param failure Callback invoked with the error after rolling back, optional
+	 * @return Promise if no callbacks were given, otherwise nothing
+	 */
+	transaction : function(conn, filters, fn, success, failure) {
+		if (success === undefined && failure === undefined) {
+			return new Promise(function(resolve, reject) {
+				db.transaction(conn, filters, fn, resolve, reject);
+			});
+		}
+
+		success = success || function() {};
+		failure = failure || function() {};
+
+		// A transaction needs the same connection for every statement, so acquire one from a pool
+		if (db.is_pool(conn)) {
+			conn.getConnection(function(err, pinned) {
+				if (err) {
+					failure(err);
+					return;
+				}
+
+				db.transaction(pinned, filters, fn, function(result) {
+					pinned.release();
+					success(result);
+				}, function(err) {
+					pinned.release();
+					failure(err);
+				});
+			});
+			return;
+		}
+
+		var tx = {};
+		_.each(filters || db.filters, function(v, k) {
+			tx[k] = v.clone();
+			tx[k].set_conn(conn);
+		});
+
+		// Filters wrap sqlite3 handles in their own adapters, so transactions are tracked by the handle
+		var handle = a.SQLiteAdapter.is_handle(conn) ? new a.SQLiteAdapter(conn) : conn;
+		var key = (conn instanceof a.SQLiteAdapter) ? conn.handle : conn;
+		var first = _.values(tx)[0];
+		var dialect = first ? first.get_dialect() : db.dialect;
+		var depth = transactions.get(key) || 0;
+		var savepoint = 'db_filters_' + depth;
+		var finished = false;
+
+		var statement = function(sql, after) {
+			db.log(db.l_debug, sql);
+			handle.query(sql, function(err) {
+				after(err);
+			});
+		};
+
+		var done = function(err, result) {
+			if (finished)
+				return;
+			finished = true;
+
+			if (depth > 0)
+				transactions.set(key, depth);
+			else
+				transactions.delete(key);
+
+			if (err) {
+				// Report the original error even if rolling back fails too
+				statement(depth > 0 ? 'ROLLBACK TO SAVEPOINT ' + savepoint : 'ROLLBACK', function() {
+					failure(err);
+				});
+			}
+			else {
+				statement(depth > 0 ? 'RELEASE SAVEPOINT ' + savepoint : 'COMMIT', function(err) {
+					if (err)
+						failure(err);
+					else
+						success(result);
+				});
+			}
+		};
+
+		statement(depth > 0 ? 'SAVEPOINT ' + savepoint : dialect.begin(), function(err) {
+			if (err) {
+				failure(err);
+				return;
+			}
+
+			transactions.set(key, depth + 1);
+			try {
+				var result = fn(tx, done);
+				if (result && _.isFunction(result.then)) {
+					result.then(function(value) {
+						done(null, value);
+					}, function(err) {
+						done(err);
+					});
+				}
+			}
+			catch (e) {
+				done(e);
+			}
+		});
+	},
+
 	/**
 	 * Changes the logging function
 	 * @param log The new function to call when logging stuff, null disables logging
@@ -149,6 +448,80 @@ _.extend(db, {
 		db.log_level = level;
 	},
 
+	/**
+	 * Changes the SQL dialect used to generate queries for every filter that doesn't have
+	 * its own dialect set
+	 * @param dialect The name of a dialect in db.dialects, or a Dialect instance
+	 */
+	set_dialect : function(dialect) {
+		if (_.isString(dialect))
+			dialect = db.dialects[dialect];
+		db.dialect = dialect;
+	},
+
+	/**
+	 * Changes the timezone that dates are converted in for every filter that doesn't have
+	 * its own timezone set
+	 * @param timezone 'local', 'utc', an offset such as '+05:30', an IANA zone name such
+	 *                 as 'America/New_York', or null to use each dialect's default
+	 * @throws Error if the timezone is unknown
+	 */
+	set_timezone : function(timezone) {
+		if (timezone && !d.is_timezone(timezone))
+			throw new Error('Unknown timezone ' + timezone);
+		db.timezone = timezone;
+	},
+
+	/**
+	 * Enables/disables strict mode for every filter that doesn't have its own setting. In strict
+	 * mode, values that would otherwise be converted to fit their columns, such as strings
+	 * that aren't numbers for an INT column or strings that are too long for a VARCHAR column,
+	 * and keys that are neither columns nor special fields, make the query fail with a
+	 * db.ValidationError instead
+	 * @param en If true, enables strict mode. If false, disables
+	 */
+	set_strict : function(en) {
+		db.strict = en;
+	},
+
+	/**
+	 * Enables/disables decoding the rows returned by exec() for the built-in column types of
+	 * every filter that doesn't have its own setting. When enabled, JSON columns are parsed,
+	 * SET columns become arrays, booleans become true or false, BIGINT and DECIMAL values
+	 * become strings, and date strings become Date objects. Custom types and models are
+	 * always applied, @see db.define_type() and set_model()
+	 * @param en If true, enables decoding. If false, disables
+	 */
+	set_decode : function(en) {
+		db.decode = en;
+	},
+
+	/**
+	 * Builds a query while collecting the invalid values found in strict mode, so that they
+	 * can all be reported together. Queries that are built while another is being built,
+	 * such as subqueries, add their errors to the outer query's list
+	 * @param build Function that builds the query
+	 * @param context The value of this for build
+	 * @return The result of build
+	 * @throws ValidationError if any invalid values were found
+	 */
+	validate : function(build, context) {
+		if (db.validation_errors)
+			return build.call(context);
+
+		var errors = db.validation_errors = [];
+		try {
+			var result = build.call(context);
+		}
+		finally {
+			db.validation_errors = null;
+		}
+
+		if (errors.length > 0)
+			throw new db.ValidationError(errors);
+		return result;
+	},
+
 	/**
 	 * Enables/disables query statistic tracking
 	 * @param en If true, enables stats. If false, disables
@@ -157,6 +530,15 @@ _.extend(db, {
 		db.do_stats = en;
 	},
 
+	/**
+	 * Enables/disables sending parameterized queries from exec(), where values are passed
+	 * to the driver separately and the query uses ? placeholders
+	 * @param en If true, enables parameters. If false, disables
+	 */
+	set_params_enabled : function(en) {
+		db.use_params = en;
+	},
+
 	/**
 	 * Function to log a message using the registered logging callback, at a specified log
 	 * level. If the current log level is less than the specified level, the message will
@@ -180,16 +562,196 @@ _.extend(db.prototype, {
 	 * @return a clone of this with no shared state
 	 */
 	clone : function() {
-		return new db(this.table, this.columns, this.special);
+		var filter = new db(this.table, this.columns, this.special);
+		filter.dialect = this.dialect;
+		filter.pool = this.pool;
+		filter.cte = this.cte;
+		filter.model = this.model;
+		filter.timezone = this.timezone;
+		filter.strict = this.strict;
+		filter.decode = this.decode;
+		if (this.alias.length > 0)
+			return filter.as(this.alias);
+		return filter;
+	},
+
+	/**
+	 * Creates a view of this filter with an alias, for referring to one of several copies of
+	 * this table in a join. Its fields in c are always prefixed with the alias, wherever they
+	 * are used, and the alias is used by default when the view is selected from or joined
+	 * @param alias The alias for the table
+	 * @return Filter that shares everything with this one except for the alias
+	 */
+	as : function(alias) {
+		var filter = Object.create(this);
+		filter.alias = alias;
+		filter.c = {};
+		_.each(this.columns, function(v, k) {
+			filter.c[k] = op.operators.$field(k, filter, {useName : true, alias : alias});
+		});
+		return filter;
+	},
+
+	/**
+	 * Changes the SQL dialect used to generate queries with this filter only
+	 * @param dialect The name of a dialect in db.dialects, or a Dialect instance, or null
+	 *                to use the global dialect again
+	 * @return Chainable this pointer
+	 */
+	set_dialect : function(dialect) {
+		if (_.isString(dialect))
+			dialect = db.dialects[dialect];
+		this.dialect = dialect;
+		return this;
+	},
+
+	/**
+	 * Sets the model that rows read from this table are converted into. Each row returned
+	 * by exec() is passed to the constructor, as new model(row), after its values have been
+	 * converted for their column types
+	 * @param model The model constructor, or null to return plain objects
+	 * @return Chainable this pointer
+	 */
+	set_model : function(model) {
+		this.model = model;
+		return this;
+	},
+
+	/**
+	 * Converts a row read from this table into its model, if one has been set
+	 * @param row The row, whose values should already be converted
+	 * @return The model instance, or the row itself
+	 */
+	hydrate : function(row) {
+		if (this.model)
+			return new this.model(row);
+		return row;
+	},
+
+	/**
+	 * Retrieves the SQL dialect that should be used with this filter
+	 * @return Dialect instance
+	 */
+	get_dialect : function() {
+		return this.dialect || db.dialect;
+	},
+
+	/**
+	 * Changes the timezone that dates are converted in for this filter only
+	 * @param timezone @see db.set_timezone(), or null to use the global timezone again
+	 * @return Chainable this pointer
+	 * @throws Error if the timezone is unknown
+	 */
+	set_timezone : function(timezone) {
+		if (timezone && !d.is_timezone(timezone))
+			throw new Error('Unknown timezone ' + timezone);
+		this.timezone = timezone;
+		return this;
+	},
+
+	/**
+	 * Enables/disables strict mode for this filter only, @see db.set_strict()
+	 * @param en If true, enables strict mode. If false, disables. If null, the global setting is used again
+	 * @return Chainable this pointer
+	 */
+	set_strict : function(en) {
+		this.strict = en;
+		return this;
+	},
+
+	/**
+	 * Checks if invalid values should be rejected for this filter
+	 * @return bool True if strict mode is enabled
+	 */
+	is_strict : function() {
+		return (this.strict === null) ? db.strict : this.strict;
+	},
+
+	/**
+	 * Enables/disables decoding rows for the built-in column types for this filter only, @see db.set_decode()
+	 * @param en If true, enables decoding. If false, disables. If null, the global setting is used again
+	 * @return Chainable this pointer
+	 */
+	set_decode : function(en) {
+		this.decode = en;
+		return this;
+	},
+
+	/**
+	 * Checks if rows read from this table should be decoded for the built-in column types
+	 * @return bool True if decoding is enabled
+	 */
+	is_decoding : function() {
+		return (this.decode === null) ? db.decode : this.decode;
+	},
+
+	/**
+	 * Reports a value that isn't valid for its column. In strict mode, it is added to the
+	 * errors for the query being built, or if no query is being built, a ValidationError is
+	 * thrown immediately. Otherwise, the value is converted as well as possible, and the
+	 * problem is only logged
+	 * @param col The name of the column
+	 * @param value The invalid value
+	 * @param reason Description of the problem, such as 'is not an integer'
+	 * @param level The level to log the problem at outside of strict mode, defaults to l_debug
+	 */
+	invalid : function(col, value, reason, level) {
+		if (this.is_strict())
+			this.reject(col, value, reason);
+		else
+			db.log(level || db.l_debug, 'Value ' + value + ' for column ' + this.table + '.' + col + ' ' + reason);
+	},
+
+	/**
+	 * Reports a value that can't be converted to fit its column at all, whether or not strict
+	 * mode is enabled. It is added to the errors for the query being built, or if no query
+	 * is being built, a ValidationError is thrown immediately
+	 * @param col The name of the column
+	 * @param value The invalid value
+	 * @param reason Description of the problem, such as 'is not a valid date'
+	 */
+	reject : function(col, value, reason) {
+		var error = {table : this.table, column : col, value : value, reason : reason};
+
+		if (db.validation_errors)
+			db.validation_errors.push(error);
+		else
+			throw new db.ValidationError([error]);
+	},
+
+	/**
+	 * Retrieves the timezone that dates should be converted in for this filter
+	 * @return String the timezone
+	 */
+	get_timezone : function() {
+		return this.timezone || db.timezone || this.get_dialect().timezone;
 	},
 
 	/**
 	 * Callback used to store the mysql connection that should be used. This will
-	 * forward to another callback (if given), allowing it to be used inside another chain
-	 * @param conn The mysql connection object to save
+	 * forward to another callback (if given), allowing it to be used inside another chain.
+	 * A sqlite3 database handle may be given instead, which is wrapped in an adapter so that
+	 * results look like those from mysql, and this filter will then generate SQLite queries
+	 * unless it already has a dialect set. If a connection pool is given, a connection is
+	 * acquired from it for each query, unless a single connection is also set
+	 * @param conn The mysql connection object (or sqlite3 database, or pool) to save
 	 * @param after The callback to invoke chaining after this one, optional
 	 */
 	set_conn : function(conn, after) {
+		if (db.is_pool(conn)) {
+			this.pool = conn;
+			this.conn = null;
+			if (after)
+				after();
+			return;
+		}
+
+		if (a.SQLiteAdapter.is_handle(conn)) {
+			conn = new a.SQLiteAdapter(conn);
+			if (!this.dialect)
+				this.dialect = db.dialects.sqlite;
+		}
+
 		this.conn = conn;
 		if (after)
 			after();
@@ -206,15 +768,40 @@ _.extend(db.prototype, {
 		return new q.SelectQuery(this, where, alias);
 	},
 
+	/**
+	 * Creates a SELECT query whose FROM clause is a subquery (a derived table) rather than
+	 * this table. This filter's column definitions are used for the derived table's columns.
+	 * Building the query throws a QueryError if the derived table has no alias
+	 * @param query The SelectQuery to select from
+	 * @param alias The alias for the derived table, which is required, unless the filter has one or alias() is called later
+	 * @param where Object used to specify what we're selecting by, optional
+	 * @return Query object that can have its properties modified before executing
+	 */
+	select_from : function(query, alias, where) {
+		var select = new q.SelectQuery(this, where, alias);
+		select._tables[0].subquery = query;
+		return select;
+	},
+
 	/**
 	 * Creates and executes an INSERT query for the options given
-	 * @param values The object to be inserted to the db
+	 * @param values The object (or array of objects) to be inserted to the db
 	 * @return Query object that can have its properties modified before executing
 	 */
 	insert : function(values) {
 		return new q.InsertQuery(this, values);
 	},
 
+	/**
+	 * Creates and executes a REPLACE query for the options given, which accepts values
+	 * in the same way as insert()
+	 * @param values The object (or array of objects) to be written to the db
+	 * @return Query object that can have its properties modified before executing
+	 */
+	replace : function(values) {
+		return new q.InsertQuery(this, values, 'REPLACE');
+	},
+
 	/**
 	 * Creates and executes an UPDATE query for the options given
 	 * @param update The new values to be written
@@ -240,6 +827,9 @@ _.extend(db.prototype, {
 	 * @param cb The next callback to call after saving stats
 	 */
 	update_stats : function(query, cb) {
+		if (query.sql !== undefined)
+			query = query.sql;
+
 		if (this.queries[query])
 			this.queries[query].count += 1;
 		else
@@ -258,18 +848,50 @@ _.extend(db.prototype, {
 	 */
 	do_query : function(query, success, failure) {
 		var that = this;
-		db.log(db.l_debug, query);
-		that.conn.query(query, function(err, rows) {
-			if (db.do_stats)
-				that.queries[query].times.push(process.hrtime(that.queries[query].start));
-
-			if (err)
+		var key = (query.sql !== undefined) ? query.sql : query;
+		db.log(db.l_debug, key);
+		this.get_conn(function(err, conn, release) {
+			if (err) {
 				failure(_.extend(err, {query : query}));
-			else
-				success(rows);
+				return;
+			}
+
+			conn.query(query, function(err, rows) {
+				release();
+
+				if (db.do_stats)
+					that.queries[key].times.push(process.hrtime(that.queries[key].start));
+
+				if (err)
+					failure(_.extend(err, {query : query}));
+				else
+					success(rows);
+			});
 		});
 	},
 
+	/**
+	 * Retrieves the connection to use for a query, which is the connection that was set, if
+	 * there is one, or else one acquired from the pool
+	 * @param cb Callback taking an error, the connection, and a function to release it
+	 */
+	get_conn : function(cb) {
+		if (this.conn) {
+			cb(null, this.conn, function() {});
+		}
+		else if (this.pool) {
+			this.pool.getConnection(function(err, conn) {
+				if (err)
+					cb(err);
+				else
+					cb(null, conn, function() { conn.release(); });
+			});
+		}
+		else {
+			cb(new Error('No connection or pool has been set for ' + this.table));
+		}
+	},
+
 	/**
 	 * Executes a given query and passes control flow back to the appropriate callback
 	 * based on the status of the query result. This is used internally, and you can use
@@ -277,11 +899,20 @@ _.extend(db.prototype, {
 	 * the abstraction layer to write queries and execute them directly. If you can't do
 	 * something with the interface given, please update the wiki so that we can try to
 	 * support it in a backend-agnostic way.
+	 * If no callbacks are given, a Promise for the result is returned instead.
 	 * @param query The SQL query verbatim to be executed
 	 * @param success The callback to call in the event of success, accepts one argument
 	 * @param failure The callback to call in the event of failure, accepts one argument
+	 * @return Promise if no callbacks were given, otherwise nothing
 	 */
 	query : function(query, success, failure) {
+		if (success === undefined && failure === undefined) {
+			var that = this;
+			return new Promise(function(resolve, reject) {
+				that.query(query, resolve, reject);
+			});
+		}
+
 		if (db.do_stats)
 			this.update_stats(query, this.do_query.bind(this, query, success, failure));
 		else
@@ -296,7 +927,7 @@ _.extend(db.prototype, {
 	 * @return String suitable for direct inclusion as a WHERE clause
 	 */
 	where : function(where, options) {
-		var result = this.decode_filter(where, ' AND ', options);
+		var result = this.decode_filter(where, ' AND ', options || {});
 		if (result.length > 0)
 			return ' WHERE ' + result;
 		return '';
@@ -306,15 +937,37 @@ _.extend(db.prototype, {
 	 * This decodes a filter object and passes back a portion of the query string
 	 * suitable for use in the SET clause of an INSERT or UPDATE statement
 	 * @param values Object describing the filter to generate the values
+	 * @param options @see process for description, optional
 	 * @return String suitable for direct inclusion as a SET clause
 	 */
-	set : function(values) {
-		var result = this.decode_filter(values, ', ', {});
+	set : function(values, options) {
+		var result = this.decode_filter(values, ', ', options || {});
 		if (result.length > 0)
 			return ' SET ' + result;
 		return '';
 	},
 
+	/**
+	 * This decodes a filter object into a map of escaped column names to escaped values,
+	 * suitable for use as one row of a multi-row INSERT. Special handlers are applied
+	 * as usual; any equality terms they produce are captured as column values
+	 * @param values Object describing the row to be inserted
+	 * @param options @see process for description
+	 * @param params Object to store a list of parameters per column in, for parameterized queries, optional
+	 * @return Object whose keys are column names and whose values are verbatim SQL values
+	 */
+	decode_row : function(values, options, params) {
+		var row = {};
+		var terms = [];
+		_.each(values, this.process.bind(this, terms, _.extend({}, options, {row : row, row_params : params})));
+
+		terms = _.filter(terms, function(t) { return t.length > 0; });
+		if (terms.length > 0)
+			db.log(db.l_error, 'Terms cannot be used as row values and were ignored: ' + terms.join(', '));
+
+		return row;
+	},
+
 	/**
 	 * This decodes a filtering object and produces a subclause that will be joined to
 	 * other clauses to form a finished query
@@ -334,6 +987,9 @@ _.extend(db.prototype, {
 	 * pair. The possible options are:
 	 * useName - boolean, should this table's name be emitted
 	 * alias - string, if the table name is used, substitute this alias instead
+	 * aliases - array, names of field aliases, which are never prefixed with a table name
+	 * expand - object, functions producing the expression for each alias, used in place of the alias
+	 * assign - boolean, the terms are assignments, whose columns are never prefixed with a table name
 	 * @param terms Array to store terms to. Arrays are passed by reference in javascript
 	 * @param options Map of option values. Each value is optional
 	 * @param value The value to use for the column
@@ -344,8 +1000,13 @@ _.extend(db.prototype, {
 			this.special[key].call(this, key, value, terms, options);
 		}
 		else {
+			if (this.columns[key] === undefined && this.is_strict() && !(options && options.aliases && options.aliases.indexOf(key) >= 0)) {
+				if (!(value instanceof op.Operator) || value.usesKey())
+					this.invalid(key, value, 'is not a column');
+			}
+
 			if (!(value instanceof op.Conditional) && !(value instanceof op.RawFunction)) {
-				if (_.isArray(value))
+				if (_.isArray(value) && !this.is_array_type(key))
 					value = db.$in(value);
 				else if (value instanceof RegExp)
 					value = db.$regex(value);
@@ -356,6 +1017,154 @@ _.extend(db.prototype, {
 		}
 	},
 
+	/**
+	 * Finds the custom type of a column, if it has one
+	 * @param col The name of the column
+	 * @return Object custom type definition, @see db.define_type(), or undefined
+	 */
+	get_custom_type : function(col) {
+		var ht = this.columns[col];
+		if (_.isString(ht))
+			return db.types[ht];
+		else if (_.isObject(ht) && !_.isArray(ht))
+			return ht;
+		return undefined;
+	},
+
+	/**
+	 * Converts a value for a column with a custom type, reporting it if the value is not
+	 * valid for the type
+	 * @param col The name of the column, for error messages
+	 * @param value The value to convert
+	 * @param type The custom type definition
+	 * @return The converted value, or an operator to use for it
+	 */
+	handle_custom : function(col, value, type) {
+		if (value === null || value === undefined)
+			return value;
+
+		if (type.validate && !type.validate(value))
+			this.invalid(col, value, 'is not a valid ' + type.name, db.l_error);
+
+		if (type.toDB)
+			return type.toDB(value);
+		return value;
+	},
+
+	/**
+	 * Converts the values in a row read from the database for their column types
+	 * @param row Object mapping column names to values, which is modified in place
+	 * @return Object the row
+	 */
+	convert_row : function(row) {
+		_.each(row, function(value, key) {
+			if (this.columns[key] !== undefined)
+				row[key] = this.read_value(key, value);
+		}, this);
+		return row;
+	},
+
+	/**
+	 * Converts a value read from the database for a column, if it has a custom type or rows
+	 * are being decoded for this filter, @see set_decode()
+	 * @param col The name of the column
+	 * @param value The value read
+	 * @return The converted value, or the value as it is
+	 */
+	read_value : function(col, value) {
+		if (value === null || value === undefined)
+			return value;
+		if (this.get_custom_type(col) || this.is_decoding())
+			return this.convert_value(col, value);
+		return value;
+	},
+
+	/**
+	 * Converts a single value read from the database for its column's type. Drivers already
+	 * convert many types, so values are only changed if they aren't in the expected form
+	 * @param col The name of the column
+	 * @param value The value read, which is not null
+	 * @return The converted value
+	 */
+	convert_value : function(col, value) {
+		var custom = this.get_custom_type(col);
+		var ht = this.columns[col];
+
+		if (custom)
+			return custom.fromDB ? custom.fromDB(value) : value;
+
+		if (_.isArray(ht))
+			ht = ht[0];
+
+		if (ht == db.int_t || ht == db.year_t) {
+			if (_.isString(value))
+				return parseInt(value) || 0;
+		}
+		else if (ht == db.bigint_t || ht == db.decimal_t) {
+			if (!Buffer.isBuffer(value))
+				return value + '';
+		}
+		else if (ht == db.float_t) {
+			if (_.isString(value))
+				return this.handle_float(value);
+		}
+		else if (ht == db.bool_t) {
+			return this.handle_bool(value);
+		}
+		else if (ht == db.json_t) {
+			if (Buffer.isBuffer(value))
+				value = value.toString();
+			if (_.isString(value)) {
+				try {
+					return JSON.parse(value);
+				}
+				catch (e) {
+					db.log(db.l_error, 'Invalid JSON read from column ' + this.table + '.' + col + ': ' + e.message);
+				}
+			}
+		}
+		else if (ht == db.set_t) {
+			if (_.isString(value))
+				return value.split(',').filter(function(v) { return v.length > 0; });
+		}
+		else if (ht == db.date_t || ht == db.datetime_t || ht == db.timestamp_t) {
+			if (_.isString(value))
+				return this.read_date(value);
+		}
+
+		return value;
+	},
+
+	/**
+	 * Parses a date string read from the database, as YYYY-MM-DD with an optional time
+	 * of day, into a Date, in this filter's timezone. Strings that aren't in this format
+	 * are returned unchanged
+	 * @param str The date string
+	 * @return Date object, or the original string
+	 */
+	read_date : function(str) {
+		var m = str.match(/^(\d+)-(\d+)-(\d+)(?:[ T](\d+):(\d+):(\d+)(?:\.(\d+))?)?$/);
+		if (!m)
+			return str;
+
+		return d.make_date({
+			year : +m[1], month : +m[2], day : +m[3],
+			hours : +(m[4] || 0), minutes : +(m[5] || 0), seconds : +(m[6] || 0),
+			ms : m[7] ? parseInt((m[7] + '00').substring(0, 3), 10) : 0
+		}, this.get_timezone());
+	},
+
+	/**
+	 * Checks if a column stores an array as a single value, in which case arrays given for
+	 * it are not treated as a list of values to match with IN
+	 * @param key The name of the column
+	 * @return bool True if the column is a SET or JSON column
+	 */
+	is_array_type : function(key) {
+		var ht = this.columns[key];
+		return ht == db.json_t || (_.isArray(ht) && ht[0] == db.set_t);
+	},
+
 	/**
 	 * Generates the escaped key name with optional table prefixing
 	 * Possible option values that are checked:
@@ -368,9 +1177,13 @@ _.extend(db.prototype, {
 	escapeKey : function(key, options) {
 		if (key === '*')
 			return this.getKeyPrefix(options) + '*';
+		else if (op.is_query(key))
+			return key.getSubquery(options);
 		else if (key instanceof op.Operator)
 			return key.getField(this, options);
-		return this.getKeyPrefix(options) + mysql.escapeId(key);
+		else if (options.aliases && options.aliases.indexOf(key) >= 0)
+			return options.expand ? options.expand[key]() : this.get_dialect().escapeId(key);
+		return this.getKeyPrefix(options) + this.get_dialect().escapeId(key);
 	},
 
 	/**
@@ -382,9 +1195,9 @@ _.extend(db.prototype, {
 	getKeyPrefix : function(options) {
 		if (options.useName) {
 			if (options.alias && options.alias.length > 0)
-				return mysql.escapeId(options.alias) + '.';
+				return this.get_dialect().escapeId(options.alias) + '.';
 			else
-				return mysql.escapeId(this.table) + '.';
+				return this.get_dialect().escapeId(this.table) + '.';
 		}
 		return '';
 	},
@@ -394,69 +1207,352 @@ _.extend(db.prototype, {
 	 * converting it to match the format expected in MySQL
 	 * @param col The name of the column this value is for
 	 * @param value The value to escape
+	 * @param options The options for the current query, used to collect parameters, optional
 	 * @return String The escaped value exactly as it should be inserted into the query
 	 */
-	handle_type : function(col, value) {
+	handle_type : function(col, value, options) {
 		var ht = this.columns[col];
-		if (ht) {
-			if (ht == db.int_t)
-				return parseInt(value) || 0;
-			else if (ht == db.bigint_t)
-				return this.handle_bigint(value);
-			else if (ht == db.date_t)
-				return this.handle_date(value);
-			else if (ht == db.datetime_t || ht == db.timestamp_t)
-				return this.handle_datetime(value);
+		var raw = false;
+		var custom = this.get_custom_type(col);
+
+		// Null is always sent as NULL, rather than converted to a value of the column's type
+		if (value === null)
+			return this.escape_value(value, options);
+
+		if (custom) {
+			value = this.handle_custom(col, value, custom);
+			if (value instanceof op.Operator)
+				return value.get(null, this, options);
+		}
+		else if (ht) {
+			if (ht == db.int_t) {
+				value = this.handle_int(value, col);
+			}
+			else if (ht == db.bigint_t) {
+				value = this.handle_bigint(value, col);
+				raw = true;
+			}
+			else if (ht == db.date_t) {
+				value = this.handle_date(value, col);
+				raw = (value !== null) && !this.get_dialect().quote_dates;
+			}
+			else if (ht == db.datetime_t || ht == db.timestamp_t) {
+				value = this.handle_datetime(value, col);
+				raw = (value !== null) && !this.get_dialect().quote_dates;
+			}
+			else if (ht == db.decimal_t) {
+				value = this.handle_decimal(value, undefined, col);
+				raw = true;
+			}
+			else if (ht == db.float_t) {
+				value = this.handle_float(value, col);
+			}
+			else if (ht == db.bool_t) {
+				value = this.handle_bool(value);
+			}
+			else if (ht == db.json_t) {
+				value = this.handle_json(value, col);
+			}
+			else if (ht == db.blob_t) {
+				value = this.handle_blob(value);
+			}
+			else if (ht == db.time_t) {
+				value = this.handle_time(value, col);
+			}
+			else if (ht == db.year_t) {
+				value = this.handle_year(value, col);
+			}
 			else if (_.isArray(ht)) {
 				if (ht[0] == db.varchar_t || ht[0] == db.char_t) {
-					return mysql.escape((value+'').substring(0, ht[1]));
+					value = value+'';
+					if (value.length > ht[1])
+						this.invalid(col, value, 'is longer than ' + ht[1] + ' characters');
+					value = value.substring(0, ht[1]);
+				}
+				else if (ht[0] == db.datetime_t || ht[0] == db.timestamp_t) {
+					value = this.handle_datetime(value, col, ht[1]);
+					raw = (value !== null) && !this.get_dialect().quote_dates;
+				}
+				else if (ht[0] == db.decimal_t) {
+					value = this.handle_decimal(value, ht[2], col);
+					raw = true;
+				}
+				else if (ht[0] == db.enum_t) {
+					value = this.handle_enum(col, value, ht[1]);
+				}
+				else if (ht[0] == db.set_t) {
+					value = this.handle_set(col, value, ht[1]);
 				}
 			}
 		}
-		return mysql.escape(value);
+
+		if (raw && !(options && options.params))
+			return value;
+		return this.escape_value(value, options);
+	},
+
+	/**
+	 * Escapes a literal value for inclusion in a query. When generating a parameterized
+	 * query, the value is instead saved to the parameter list and a ? placeholder is returned,
+	 * which is converted to the dialect's placeholder once the query is complete
+	 * @param value The value to escape, which should already be converted for its column
+	 * @param options The options for the current query, used to collect parameters, optional
+	 * @return String The escaped value or placeholder
+	 */
+	escape_value : function(value, options) {
+		if (options && options.params) {
+			options.params.push(value);
+			return '?';
+		}
+		return this.get_dialect().escape(value);
 	},
 
 	/**
-	 * This converts a value to the format for the mysql Date column type, accepting a
-	 * string, unix timestamp, or Date object to convert. Note we just use the js Date
-	 * object to convert, so hopefully whatever you have makes sense to its constructor
+	 * This converts a value to the format for the DATE column type, accepting a string, unix
+	 * timestamp, or Date object to convert. Strings that are already formatted as YYYY-MM-DD
+	 * are used as they are, and anything else is given to the js Date constructor, so
+	 * hopefully whatever you have makes sense to it. Dates are converted in this filter's
+	 * timezone, @see get_timezone()
 	 * @param date The date to convert, as string, int timestamp, or Date object
-	 * @return String the date represented as MySQL expects it for a DATE field
+	 * @param col The name of the column, for error messages, optional
+	 * @return String the date represented as YYYY-MM-DD, or null for null
 	 */
-	handle_date : function(date) {
-		if (date instanceof Date)
-			return date.getFullYear() + '-' + (date.getMonth()+1) + '-' + date.getDate();
-		
-		return this.handle_date(new Date(date));
+	handle_date : function(date, col) {
+		if (_.isString(date) && date.match(/^\d{4}-\d{2}-\d{2}$/))
+			return date;
+
+		date = this.to_date(date, col);
+		if (date === null)
+			return null;
+		return this.get_dialect().date(date, this.get_timezone());
 	},
 
 	/**
-	 * this converts a value to the format for the mysql DATETIME or TIMESTAMP columns,
-	 * accepting a string, unix timestamp, or Date object to convert.
-	 * @note Datetime can handle milliseconds. Mysql ignores these, so we don't bother sending them
+	 * This converts a value to the format for the DATETIME or TIMESTAMP columns, accepting
+	 * a string, unix timestamp, or Date object to convert, in the same way as handle_date()
 	 * @param date The date to convert, as string, int, or Date object
-	 * @return String the date represented as MySQL exepcts it for a DATETIME field
+	 * @param col The name of the column, for error messages, optional
+	 * @param precision The number of fractional second digits, as in DATETIME(3), optional
+	 * @return String the date represented as YYYY-MM-DD HH:MM:SS[.fff], or null for null
+	 */
+	handle_datetime : function(date, col, precision) {
+		if (_.isString(date) && date.match(/^\d{4}-\d{2}-\d{2}([ T]\d{2}:\d{2}:\d{2}(\.\d+)?)?$/))
+			return (date.length == 10) ? date + ' 00:00:00' : date.replace('T', ' ');
+
+		date = this.to_date(date, col);
+		if (date === null)
+			return null;
+		return this.get_dialect().datetime(date, this.get_timezone(), precision);
+	},
+
+	/**
+	 * Converts a value to a Date object. Values that don't produce a valid date are rejected
+	 * even outside of strict mode, because no other value could stand in for them
+	 * @param value A Date object, or a string or timestamp for the Date constructor
+	 * @param col The name of the column, for error messages, optional
+	 * @return Date object, or null if the value is null or the date is invalid
 	 */
-	handle_datetime : function(date) {
-		if (date instanceof Date)
-			return this.handle_date(date) + ' ' + date.getHours() + ':' + date.getMinutes() + ':' + date.getSeconds();
+	to_date : function(value, col) {
+		if (value === null)
+			return null;
 
-		return this.handle_datetime(new Date(date));
+		var date = (value instanceof Date) ? value : new Date(value);
+		if (isNaN(date.getTime())) {
+			this.reject(col, value, 'is not a valid date');
+			return null;
+		}
+		return date;
+	},
+
+	/**
+	 * This converts a value to an integer, with anything that isn't an integer reported
+	 * and becoming 0, or its integer part if it starts with a number
+	 * @param value The value to convert
+	 * @param col The name of the column, for error messages
+	 * @return Number field value
+	 */
+	handle_int : function(value, col) {
+		var valid = (typeof value == 'number') ? value % 1 === 0 : !!(value + '').trim().match(/^[-+]?[0-9]+$/);
+		if (!valid)
+			this.invalid(col, value, 'is not an integer');
+		return parseInt(value) || 0;
 	},
 
 	/**
 	 * This verifies that a string is only numeric and thus can be converted to a bigint value by
 	 * mysql
 	 * @param str The string to check for being a bigint
+	 * @param col The name of the column, for error messages
 	 * @return String field value
 	 */
-	handle_bigint : function(str) {
+	handle_bigint : function(str, col) {
+		str = str + '';
 		if (str.match(/^[0-9]+$/))
 			return str;
+		this.invalid(col, str, 'is not an unsigned integer');
+		return '0';
+	},
+
+	/**
+	 * This converts a value to a decimal string, which is sent to the database without quotes.
+	 * Strings are kept as they are, so that no precision is lost, if they are numeric
+	 * @param value The value to convert, as a string or number
+	 * @param scale The number of digits after the decimal point, used to format numbers, optional
+	 * @param col The name of the column, for error messages
+	 * @return String field value
+	 */
+	handle_decimal : function(value, scale, col) {
+		var str;
+
+		if (typeof value == 'number')
+			str = (scale === undefined) ? value + '' : value.toFixed(scale);
+		else
+			str = (value + '').trim();
+
+		if (str.match(/^[-+]?([0-9]+(\.[0-9]*)?|\.[0-9]+)$/))
+			return str;
+		this.invalid(col, value, 'is not a decimal number');
 		return '0';
+	},
+
+	/**
+	 * This converts a value to a floating point number, with anything that isn't a finite number
+	 * becoming 0
+	 * @param value The value to convert
+	 * @param col The name of the column, for error messages, or undefined if the value was read
+	 *            from the database, in which case it isn't reported
+	 * @return Number field value
+	 */
+	handle_float : function(value, col) {
+		var f = (typeof value == 'number') ? value : Number((value + '').trim() || NaN);
+		if (isFinite(f))
+			return f;
+
+		if (col !== undefined)
+			this.invalid(col, value, 'is not a number');
+		return isFinite(parseFloat(value)) ? parseFloat(value) : 0;
+	},
+
+	/**
+	 * This converts a value to a boolean. Strings such as '0', 'false', and 'no' are false
+	 * @param value The value to convert
+	 * @return bool field value
+	 */
+	handle_bool : function(value) {
+		if (typeof value == 'string')
+			return !value.trim().match(/^(0|false|f|no|n|off|)$/i);
+		return !!value;
+	},
+
+	/**
+	 * This converts a value to JSON text. Strings are assumed to be JSON already, so they are
+	 * used as they are if they parse, and are otherwise reported and encoded as JSON strings
+	 * @param value The value to convert
+	 * @param col The name of the column, for error messages
+	 * @return String field value
+	 */
+	handle_json : function(value, col) {
+		if (typeof value != 'string')
+			return JSON.stringify(value);
+
+		try {
+			JSON.parse(value);
+			return value;
+		}
+		catch (e) {
+			this.invalid(col, value, 'is not valid JSON');
+			return JSON.stringify(value);
+		}
+	},
+
+	/**
+	 * This checks that a value is one of those allowed for an ENUM column, reporting it
+	 * if it isn't, and passes it on for the database to handle
+	 * @param col The name of the column, for error messages
+	 * @param value The value to check
+	 * @param allowed Array of allowed values, optional
+	 * @return String field value
+	 */
+	handle_enum : function(col, value, allowed) {
+		value = value + '';
+		if (allowed && allowed.indexOf(value) < 0)
+			this.invalid(col, value, 'is not one of the allowed values', db.l_error);
+		return value;
+	},
+
+	/**
+	 * This converts an array (or comma separated string) of members for a SET column, checking
+	 * that each member is allowed and reporting it if it isn't
+	 * @param col The name of the column, for error messages
+	 * @param value Array of members, or a comma separated string
+	 * @param allowed Array of allowed members, optional
+	 * @return String field value, with members separated by commas
+	 */
+	handle_set : function(col, value, allowed) {
+		var members = _.isArray(value) ? value : (value + '').split(',');
+
+		members = members.map(function(v) { return v + ''; }).filter(function(v) {
+			return v.length > 0;
+		});
+
+		if (allowed) {
+			members.forEach(function(v) {
+				if (allowed.indexOf(v) < 0)
+					this.invalid(col, v, 'is not one of the allowed members', db.l_error);
+			}, this);
+		}
+
+		return members.join(',');
+	},
+
+	/**
+	 * This converts a value to a Buffer, so that it is sent as a binary literal
+	 * @param value A Buffer, or a string that is encoded as UTF-8
+	 * @return Buffer field value
+	 */
+	handle_blob : function(value) {
+		if (Buffer.isBuffer(value))
+			return value;
+		return Buffer.from(value + '');
+	},
+
+	/**
+	 * This converts a value to the format for a TIME column. Date objects give their time
+	 * of day, and numbers are a number of seconds, which may be longer than a day. Strings
+	 * are passed through
+	 * @param value The value to convert
+	 * @param col The name of the column, for error messages, optional
+	 * @return String field value
+	 */
+	handle_time : function(value, col) {
+		if (value instanceof Date) {
+			value = this.to_date(value, col);
+			return (value === null) ? null : this.get_dialect().time(value, this.get_timezone());
+		}
+
+		if (typeof value == 'number') {
+			var sign = (value < 0) ? '-' : '';
+			var secs = Math.floor(Math.abs(value));
+			var pad = function(n) { return (n < 10 ? '0' : '') + n; };
+			return sign + Math.floor(secs / 3600) + ':' + pad(Math.floor(secs / 60) % 60) + ':' + pad(secs % 60);
+		}
+
+		return value + '';
+	},
+
+	/**
+	 * This converts a value to the format for a YEAR column. Date objects give their year in
+	 * this filter's timezone, @see get_timezone()
+	 * @param value A Date object, or a number or string containing the year
+	 * @param col The name of the column, for error messages
+	 * @return Number field value
+	 */
+	handle_year : function(value, col) {
+		if (value instanceof Date) {
+			value = this.to_date(value, col);
+			return (value === null) ? null : this.get_dialect().year(value, this.get_timezone());
+		}
+		return this.handle_int(value, col);
 	}
 
 });
-
-// Expose the database class as our export, but not the query classes, because those are only produced by us
-module.exports = db;
@@ -0,0 +1,670 @@
+/**
+ * Definition of the SQL dialects that queries can be generated for. A dialect
+ * captures everything that differs between database engines, such as quoting,
+ * escaping, and the names of functions, so that the query and operator classes
+ * can stay the same for every database.
+ *
+ * (c) 2013, Greg Malysa <gmalysa@stanford.edu>
+ * Permission to use governed by the terms of the MIT license. See LICENSE for details
+ */
+
+var _ = require('underscore');
+var mysql = require('mysql');
+
+/*******************************************************************************
+ * Date helpers. Timezones are given as 'local', 'utc', a fixed offset such as
+ * '+05:30', or an IANA zone name such as 'America/New_York'
+ ******************************************************************************/
+var formatters = {};
+
+/**
+ * Pads a number with leading zeros
+ * @param n The number to pad
+ * @param len The minimum number of digits
+ * @return String padded number
+ */
+function pad(n, len) {
+	var str = n + '';
+	while (str.length < len)
+		str = '0' + str;
+	return str;
+}
+
+/**
+ * Parses a fixed timezone offset
+ * @param timezone The timezone
+ * @return int offset from UTC in minutes, or null if the timezone isn't a fixed offset
+ */
+function parse_offset(timezone) {
+	if (timezone == 'utc' || timezone == 'UTC' || timezone == 'Z')
+		return 0;
+
+	var m = (timezone + '').match(/^([+-])(\d{2}):?(\d{2})$/);
+	if (m)
+		return (m[1] == '-' ? -1 : 1) * (parseInt(m[2], 10) * 60 + parseInt(m[3], 10));
+	return null;
+}
+
+/**
+ * Retrieves a formatter that gives the calendar fields of dates in an IANA timezone
+ * @param timezone The name of the timezone
+ * @return Intl.DateTimeFormat, which throws a RangeError when created for an unknown zone
+ */
+function get_formatter(timezone) {
+	if (!formatters[timezone]) {
+		formatters[timezone] = new Intl.DateTimeFormat('en-US', {
+			timeZone : timezone, hourCycle : 'h23',
+			year : 'numeric', month : 'numeric', day : 'numeric',
+			hour : 'numeric', minute : 'numeric', second : 'numeric'
+		});
+	}
+	return formatters[timezone];
+}
+
+/**
+ * Checks if a timezone is one that dates can be converted to
+ * @param timezone The timezone to check
+ * @return bool True if the timezone is valid
+ */
+function is_timezone(timezone) {
+	if (timezone == 'local' || parse_offset(timezone) !== null)
+		return true;
+
+	try {
+		get_formatter(timezone);
+		return true;
+	}
+	catch (e) {
+		return false;
+	}
+}
+
+/**
+ * Splits a Date into its calendar fields in a timezone
+ * @param date The Date object
+ * @param timezone The timezone, defaults to local
+ * @return Object with year, month (1-12), day, hours, minutes, seconds, and ms
+ */
+function date_parts(date, timezone) {
+	var offset = parse_offset(timezone);
+
+	if (!timezone || timezone == 'local') {
+		return {
+			year : date.getFullYear(), month : date.getMonth() + 1, day : date.getDate(),
+			hours : date.getHours(), minutes : date.getMinutes(), seconds : date.getSeconds(),
+			ms : date.getMilliseconds()
+		};
+	}
+
+	if (offset !== null) {
+		var shifted = new Date(date.getTime() + offset * 60000);
+		return {
+			year : shifted.getUTCFullYear(), month : shifted.getUTCMonth() + 1, day : shifted.getUTCDate(),
+			hours : shifted.getUTCHours(), minutes : shifted.getUTCMinutes(), seconds : shifted.getUTCSeconds(),
+			ms : shifted.getUTCMilliseconds()
+		};
+	}
+
+	var names = {year : 'year', month : 'month', day : 'day', hour : 'hours', minute : 'minutes', second : 'seconds'};
+	var parts = {ms : date.getUTCMilliseconds()};
+	get_formatter(timezone).formatToParts(date).forEach(function(v) {
+		if (names[v.type])
+			parts[names[v.type]] = parseInt(v.value, 10);
+	});
+	return parts;
+}
+
+/**
+ * Creates a Date from its calendar fields in a timezone, the reverse of date_parts()
+ * @param parts Object with year, month (1-12), day, hours, minutes, seconds, and ms
+ * @param timezone The timezone, defaults to local
+ * @return Date object
+ */
+function make_date(parts, timezone) {
+	var offset = parse_offset(timezone);
+	var utc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hours, parts.minutes, parts.seconds, parts.ms);
+
+	if (!timezone || timezone == 'local')
+		return new Date(parts.year, parts.month - 1, parts.day, parts.hours, parts.minutes, parts.seconds, parts.ms);
+
+	if (offset !== null)
+		return new Date(utc - offset * 60000);
+
+	// Correct the guess by the zone's offset at that time, twice in case it crosses a DST change
+	var guess = utc;
+	for (var i = 0; i < 2; ++i) {
+		var p = date_parts(new Date(guess), timezone);
+		guess -= Date.UTC(p.year, p.month - 1, p.day, p.hours, p.minutes, p.seconds, p.ms) - utc;
+	}
+	return new Date(guess);
+}
+
+/*******************************************************************************
+ * Base dialect class, which generates MySQL, because that is what everything
+ * was originally written for. Other dialects override only what differs
+ ******************************************************************************/
+function Dialect(name) {
+	this.name = name;
+	this.functions = {};			//!< Map of function names to replacement names or formatting functions
+	this.operators = {};			//!< Map of infix operators to replacement operators
+	this.returning = false;			//!< Does this dialect support RETURNING clauses
+	this.update_limit = true;		//!< Does this dialect support LIMIT on UPDATE and DELETE
+	this.replace = true;			//!< Does this dialect support REPLACE INTO
+	this.insert_set = true;			//!< Does this dialect support INSERT INTO ... SET
+	this.values_default = true;		//!< May DEFAULT be used for a missing value in a VALUES list
+	this.quote_dates = true;		//!< Should formatted dates be escaped as strings
+	this.timezone = 'local';		//!< Timezone that dates are formatted in by default, @see date_parts()
+	this.precision = 0;				//!< Default number of fractional second digits in DATETIME values
+	this.row_locks = true;			//!< Does this dialect support FOR UPDATE and shared locks
+	this.calc_found_rows = true;	//!< Does this dialect support SQL_CALC_FOUND_ROWS
+	this.full_join = false;			//!< Does this dialect support FULL OUTER JOIN
+	this.compound_parens = true;	//!< May the parts of a UNION be wrapped in parentheses
+	this.intersect = false;			//!< Does this dialect support INTERSECT and EXCEPT (MySQL 8.0.31 and later do)
+	this.having_aliases = true;		//!< May HAVING refer to the aliases of selected fields
+	this.update_join = true;		//!< Does this dialect support JOIN in UPDATE and DELETE
+	this.upsert_target = false;		//!< Do upserts name the conflicting columns, as ON CONFLICT (...) DO UPDATE
+	this.nest_tables = true;		//!< Can the driver nest result rows by table, with the mysql nestTables option
+}
+
+/**
+ * Escapes an identifier, such as a column or table alias
+ * @param id The identifier to escape
+ * @return String quoted identifier
+ */
+Dialect.prototype.escapeId = function(id) {
+	return mysql.escapeId(id);
+};
+
+/**
+ * Escapes a table name or table alias where it is declared, in FROM, JOIN, or INTO. MySQL
+ * doesn't change the case of unquoted names, so they are left as they are
+ * @param id The table name or alias
+ * @return String the name to use in the query
+ */
+Dialect.prototype.escapeTable = function(id) {
+	return id;
+};
+
+/**
+ * Escapes a name for a field in the results, which may contain dots that are part of the
+ * name rather than separating a table from a column
+ * @param id The name to escape
+ * @return String quoted name
+ */
+Dialect.prototype.escapeAlias = function(id) {
+	return mysql.escapeId(id, true);
+};
+
+/**
+ * Escapes a literal value for direct inclusion in a query
+ * @param value The value to escape
+ * @return String escaped value
+ */
+Dialect.prototype.escape = function(value) {
+	return mysql.escape(value);
+};
+
+/**
+ * Retrieves the placeholder used for a parameter in a parameterized query
+ * @param n The one-based index of the parameter
+ * @return String placeholder
+ */
+Dialect.prototype.placeholder = function(n) {
+	return '?';
+};
+
+/**
+ * Converts a query built with ? placeholders to this dialect's placeholders. MySQL uses
+ * ? already, so nothing is done
+ * @param sql The query to convert
+ * @return String converted query
+ */
+Dialect.prototype.number_placeholders = function(sql) {
+	return sql;
+};
+
+/**
+ * Retrieves a boolean literal, for conditions that are constant
+ * @param value The boolean value to represent
+ * @return String boolean literal
+ */
+Dialect.prototype.bool = function(value) {
+	return value ? '1' : '0';
+};
+
+/**
+ * Formats a Date for a DATE column, as YYYY-MM-DD
+ * @param date The Date object to format
+ * @param timezone The timezone to use, optional, defaults to the dialect's timezone
+ * @return String formatted date
+ */
+Dialect.prototype.date = function(date, timezone) {
+	var p = date_parts(date, timezone || this.timezone);
+	return pad(p.year, 4) + '-' + pad(p.month, 2) + '-' + pad(p.day, 2);
+};
+
+/**
+ * Formats a Date for a DATETIME or TIMESTAMP column, as YYYY-MM-DD HH:MM:SS with
+ * fractional seconds if a precision is given
+ * @param date The Date object to format
+ * @param timezone The timezone to use, optional, defaults to the dialect's timezone
+ * @param precision Number of fractional second digits, optional, defaults to the dialect's precision
+ * @return String formatted date and time
+ */
+Dialect.prototype.datetime = function(date, timezone, precision) {
+	var p = date_parts(date, timezone || this.timezone);
+	var str = pad(p.year, 4) + '-' + pad(p.month, 2) + '-' + pad(p.day, 2) + ' '
+		+ pad(p.hours, 2) + ':' + pad(p.minutes, 2) + ':' + pad(p.seconds, 2);
+
+	if (precision === undefined)
+		precision = this.precision;
+	if (precision > 0)
+		str += '.' + (pad(p.ms, 3) + '000').substring(0, Math.min(precision, 6));
+	return str;
+};
+
+/**
+ * Formats the time of day of a Date for a TIME column
+ * @param date The Date object to format
+ * @param timezone The timezone to use, optional, defaults to the dialect's timezone
+ * @return String formatted time, as HH:MM:SS
+ */
+Dialect.prototype.time = function(date, timezone) {
+	var p = date_parts(date, timezone || this.timezone);
+	return pad(p.hours, 2) + ':' + pad(p.minutes, 2) + ':' + pad(p.seconds, 2);
+};
+
+/**
+ * Retrieves the year of a Date for a YEAR column
+ * @param date The Date object
+ * @param timezone The timezone to use, optional, defaults to the dialect's timezone
+ * @return Number the year
+ */
+Dialect.prototype.year = function(date, timezone) {
+	return date_parts(date, timezone || this.timezone).year;
+};
+
+/**
+ * Retrieves the regular expression matching operator
+ * @param invert Should this be the inverted (not matching) operator
+ * @return String operator
+ */
+Dialect.prototype.regex = function(invert) {
+	return (invert ? 'NOT ' : '') + 'REGEXP';
+};
+
+/**
+ * Formats a function call, renaming it or replacing it completely if this dialect
+ * has a different implementation
+ * @param fn The (MySQL) name of the function
+ * @param args String of the already formatted arguments, may be empty
+ * @return String function call expression
+ */
+Dialect.prototype.func = function(fn, args) {
+	var replacement = this.functions[fn];
+	if (_.isFunction(replacement))
+		return replacement(args);
+	if (replacement)
+		fn = replacement;
+	return fn + '(' + args + ')';
+};
+
+/**
+ * Formats a GROUP_CONCAT() aggregate, which is named and structured differently in other databases
+ * @param args String of the formatted field, including DISTINCT if requested
+ * @param order String of the formatted ORDER BY fields, may be empty
+ * @param sep The escaped separator string, or undefined to use the default
+ * @return String function call expression
+ */
+Dialect.prototype.group_concat = function(args, order, sep) {
+	return 'GROUP_CONCAT(' + args + (order ? ' ORDER BY ' + order : '') + (sep !== undefined ? ' SEPARATOR ' + sep : '') + ')';
+};
+
+/**
+ * Retrieves the symbol for a binary infix operator, which may differ between dialects
+ * @param fn The (MySQL) operator symbol
+ * @return String operator symbol for this dialect
+ */
+Dialect.prototype.infix = function(fn) {
+	return this.operators[fn] || fn;
+};
+
+/**
+ * Formats the LIMIT clause. The escape function is called on each value in the order
+ * that it appears in the output, so that parameters are collected correctly
+ * @param limit Array of [count] or [offset, count], as given to Query.limit()
+ * @param escape Function that escapes a single limit value
+ * @return String verbatim LIMIT clause
+ */
+Dialect.prototype.limit = function(limit, escape) {
+	return ' LIMIT ' + limit.map(escape).join(', ');
+};
+
+/**
+ * Formats the row locking clause for a SELECT statement. Waiting options require the newer
+ * FOR SHARE syntax for shared locks
+ * @param mode Either UPDATE or SHARE
+ * @param wait Optional, either NOWAIT or SKIP LOCKED
+ * @return String verbatim locking clause
+ */
+Dialect.prototype.lock = function(mode, wait) {
+	if (mode == 'SHARE' && wait === undefined)
+		return ' LOCK IN SHARE MODE';
+	return ' FOR ' + mode + (wait !== undefined ? ' ' + wait : '');
+};
+
+/**
+ * Retrieves the statement that starts a transaction
+ * @return String SQL statement
+ */
+Dialect.prototype.begin = function() {
+	return 'START TRANSACTION';
+};
+
+/**
+ * Retrieves the beginning of an INSERT statement
+ * @param verb Either INSERT or REPLACE
+ * @param table The table name
+ * @param ignore Should errors from duplicate rows be ignored
+ * @return String statement prefix
+ */
+Dialect.prototype.insert_prefix = function(verb, table, ignore) {
+	return verb + (ignore ? ' IGNORE' : '') + ' INTO ' + table;
+};
+
+/**
+ * Retrieves the clause to ignore duplicate rows that goes at the end of an insert
+ * @return String clause
+ */
+Dialect.prototype.insert_ignore = function() {
+	return '';
+};
+
+/**
+ * Retrieves the beginning of the upsert clause
+ * @param target Array of escaped column names that identify a conflict
+ * @return String clause, to be followed by assignments
+ */
+Dialect.prototype.upsert = function(target) {
+	return ' ON DUPLICATE KEY UPDATE ';
+};
+
+/*******************************************************************************
+ * PostgreSQL dialect
+ ******************************************************************************/
+function PostgresDialect() {
+	Dialect.call(this, 'postgres');
+	this.returning = true;
+	this.update_limit = false;
+	this.replace = false;
+	this.insert_set = false;
+	this.calc_found_rows = false;
+	this.full_join = true;
+	this.update_join = false;
+	this.upsert_target = true;
+	this.nest_tables = false;
+	this.having_aliases = false;
+	this.intersect = true;
+
+	this.functions = {
+		RAND : 'RANDOM',
+		POW : 'POWER',
+		CEIL : 'CEILING',
+		LOG2 : function(args) { return 'LOG(2, ' + args + ')'; },
+		CURDATE : function() { return 'CURRENT_DATE'; },
+		CURTIME : function() { return 'CURRENT_TIME'; },
+		UTC_DATE : function() { return '(NOW() AT TIME ZONE \'UTC\')::date'; },
+		UTC_TIME : function() { return '(NOW() AT TIME ZONE \'UTC\')::time'; },
+		UTC_TIMESTAMP : function() { return '(NOW() AT TIME ZONE \'UTC\')'; },
+		VALUES : function(args) { return 'EXCLUDED.' + args; }
+	};
+
+	this.operators = {
+		'^' : '#'
+	};
+}
+PostgresDialect.prototype = new Dialect();
+PostgresDialect.prototype.constructor = PostgresDialect;
+
+/**
+ * Identifiers are quoted with double quotes, which are escaped by doubling them
+ * @see Dialect.escapeId()
+ */
+PostgresDialect.prototype.escapeId = function(id) {
+	return id.split('.').map(function(v) {
+		return '"' + v.replace(/"/g, '""') + '"';
+	}).join('.');
+};
+
+/**
+ * Unquoted names are folded to lower case, so table names and aliases are quoted in the
+ * same way as the prefixes of the columns that refer to them
+ * @see Dialect.escapeTable()
+ */
+PostgresDialect.prototype.escapeTable = function(id) {
+	return this.escapeId(id);
+};
+
+/**
+ * Names are quoted as a whole, without splitting them on dots
+ * @see Dialect.escapeAlias()
+ */
+PostgresDialect.prototype.escapeAlias = function(id) {
+	return '"' + id.replace(/"/g, '""') + '"';
+};
+
+/**
+ * Strings are quoted with single quotes, which are escaped by doubling them. This relies
+ * on standard_conforming_strings, which is the default since PostgreSQL 9.1
+ * @see Dialect.escape()
+ */
+PostgresDialect.prototype.escape = function(value) {
+	if (value === undefined || value === null)
+		return 'NULL';
+	if (typeof value == 'boolean')
+		return value ? 'TRUE' : 'FALSE';
+	if (typeof value == 'number')
+		return value + '';
+	if (_.isArray(value))
+		return value.map(this.escape, this).join(', ');
+	if (Buffer.isBuffer(value))
+		return '\'\\x' + value.toString('hex') + '\'';
+	if (value instanceof Date)
+		value = value.toISOString();
+
+	return '\'' + (value + '').replace(/'/g, '\'\'') + '\'';
+};
+
+/**
+ * Parameters are numbered, as $1, $2, etc.
+ * @see Dialect.placeholder()
+ */
+PostgresDialect.prototype.placeholder = function(n) {
+	return '$' + n;
+};
+
+/**
+ * Replaces each ? placeholder, outside of quoted strings and identifiers, with a numbered
+ * placeholder
+ * @see Dialect.number_placeholders()
+ */
+PostgresDialect.prototype.number_placeholders = function(sql) {
+	var n = 0;
+	var that = this;
+	return sql.replace(/('(?:[^']|'')*'|"(?:[^"]|"")*")|\?/g, function(match, quoted) {
+		if (quoted)
+			return quoted;
+		n += 1;
+		return that.placeholder(n);
+	});
+};
+
+/**
+ * @see Dialect.bool()
+ */
+PostgresDialect.prototype.bool = function(value) {
+	return value ? 'TRUE' : 'FALSE';
+};
+
+/**
+ * POSIX regular expressions are matched with ~
+ * @see Dialect.regex()
+ */
+PostgresDialect.prototype.regex = function(invert) {
+	return invert ? '!~' : '~';
+};
+
+/**
+ * STRING_AGG() requires a separator, which defaults to a comma as in MySQL
+ * @see Dialect.group_concat()
+ */
+PostgresDialect.prototype.group_concat = function(args, order, sep) {
+	return 'STRING_AGG(' + args + ', ' + (sep !== undefined ? sep : '\',\'') + (order ? ' ORDER BY ' + order : '') + ')';
+};
+
+/**
+ * The offset is given separately, after the count
+ * @see Dialect.limit()
+ */
+PostgresDialect.prototype.limit = function(limit, escape) {
+	if (limit.length == 2) {
+		var count = escape(limit[1]);
+		return ' LIMIT ' + count + ' OFFSET ' + escape(limit[0]);
+	}
+	return ' LIMIT ' + escape(limit[0]);
+};
+
+/**
+ * Shared locks always use FOR SHARE
+ * @see Dialect.lock()
+ */
+PostgresDialect.prototype.lock = function(mode, wait) {
+	return ' FOR ' + mode + (wait !== undefined ? ' ' + wait : '');
+};
+
+/**
+ * @see Dialect.begin()
+ */
+PostgresDialect.prototype.begin = function() {
+	return 'BEGIN';
+};
+
+/**
+ * There is no INSERT IGNORE, so that is handled by insert_ignore()
+ * @see Dialect.insert_prefix()
+ */
+PostgresDialect.prototype.insert_prefix = function(verb, table, ignore) {
+	return verb + ' INTO ' + table;
+};
+
+/**
+ * @see Dialect.insert_ignore()
+ */
+PostgresDialect.prototype.insert_ignore = function() {
+	return ' ON CONFLICT DO NOTHING';
+};
+
+/**
+ * @see Dialect.upsert()
+ */
+PostgresDialect.prototype.upsert = function(target) {
+	return ' ON CONFLICT (' + target.join(', ') + ') DO UPDATE SET ';
+};
+
+/*******************************************************************************
+ * SQLite dialect. Dates are stored as ISO 8601 text in UTC, which the SQLite date
+ * and time functions understand. Note that REGEXP is only available if the application
+ * has registered a regexp() function with SQLite
+ ******************************************************************************/
+function SQLiteDialect() {
+	Dialect.call(this, 'sqlite');
+	this.returning = true;
+	this.update_limit = false;
+	this.insert_set = false;
+	this.values_default = false;
+	this.row_locks = false;
+	this.timezone = 'utc';
+	this.precision = 3;
+	this.calc_found_rows = false;
+	this.full_join = true;
+	this.update_join = false;
+	this.upsert_target = true;
+	this.nest_tables = false;
+	this.compound_parens = false;
+	this.intersect = true;
+
+	this.functions = {
+		RAND : 'RANDOM',
+		POW : 'POWER',
+		CHAR_LENGTH : 'LENGTH',
+		NOW : function() { return 'datetime(\'now\')'; },
+		CURDATE : function() { return 'date(\'now\')'; },
+		CURTIME : function() { return 'time(\'now\')'; },
+		UTC_DATE : function() { return 'date(\'now\')'; },
+		UTC_TIME : function() { return 'time(\'now\')'; },
+		UTC_TIMESTAMP : function() { return 'datetime(\'now\')'; },
+		VALUES : function(args) { return 'excluded.' + args; }
+	};
+}
+SQLiteDialect.prototype = new Dialect();
+SQLiteDialect.prototype.constructor = SQLiteDialect;
+
+// Identifiers, placeholders for parameters, and LIMIT work the same way as PostgreSQL
+SQLiteDialect.prototype.escapeId = PostgresDialect.prototype.escapeId;
+SQLiteDialect.prototype.escapeTable = PostgresDialect.prototype.escapeTable;
+SQLiteDialect.prototype.escapeAlias = PostgresDialect.prototype.escapeAlias;
+SQLiteDialect.prototype.limit = PostgresDialect.prototype.limit;
+SQLiteDialect.prototype.upsert = PostgresDialect.prototype.upsert;
+SQLiteDialect.prototype.begin = PostgresDialect.prototype.begin;
+
+/**
+ * Strings are quoted with single quotes, which are escaped by doubling them, and
+ * there is no boolean type
+ * @see Dialect.escape()
+ */
+SQLiteDialect.prototype.escape = function(value) {
+	if (value === undefined || value === null)
+		return 'NULL';
+	if (typeof value == 'boolean')
+		return value ? '1' : '0';
+	if (typeof value == 'number')
+		return value + '';
+	if (_.isArray(value))
+		return value.map(this.escape, this).join(', ');
+	if (Buffer.isBuffer(value))
+		return 'X\'' + value.toString('hex') + '\'';
+	if (value instanceof Date)
+		value = this.datetime(value);
+
+	return '\'' + (value + '').replace(/'/g, '\'\'') + '\'';
+};
+
+/**
+ * The separator is given as a second argument
+ * @see Dialect.group_concat()
+ */
+SQLiteDialect.prototype.group_concat = function(args, order, sep) {
+	return 'GROUP_CONCAT(' + args + (sep !== undefined ? ', ' + sep : '') + (order ? ' ORDER BY ' + order : '') + ')';
+};
+
+/**
+ * @see Dialect.insert_prefix()
+ */
+SQLiteDialect.prototype.insert_prefix = function(verb, table, ignore) {
+	if (ignore && verb == 'INSERT')
+		return 'INSERT OR IGNORE INTO ' + table;
+	return verb + ' INTO ' + table;
+};
+
+// Export the classes so that other dialects can be derived, and one instance of each
+module.exports.Dialect = Dialect;
+module.exports.PostgresDialect = PostgresDialect;
+module.exports.SQLiteDialect = SQLiteDialect;
+module.exports.is_timezone = is_timezone;
+module.exports.date_parts = date_parts;
+module.exports.make_date = make_date;
+module.exports.dialects = {
+	mysql : new Dialect('mysql'),
+	postgres : new PostgresDialect(),
+	sqlite : new SQLiteDialect()
+};
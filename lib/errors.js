@@ -0,0 +1,55 @@
+/**
+ * Error classes that are thrown, or given to failure callbacks, by db-filters itself,
+ * rather than coming from the database driver
+ *
+ * (c) 2013, Greg Malysa <gmalysa@stanford.edu>
+ * Permission to use governed by the terms of the MIT license. See LICENSE for details
+ */
+
+/**
+ * Makes an error class a real subclass of Error, so that both its instances and the
+ * class itself are recognized as such, for example by instanceof and assert.throws()
+ * @param ctor The constructor of the error class
+ */
+function inherit_error(ctor) {
+	ctor.prototype = Object.create(Error.prototype, {
+		constructor : {value : ctor, writable : true, configurable : true}
+	});
+	Object.setPrototypeOf(ctor, Error);
+}
+
+/*******************************************************************************
+ * Error produced in strict mode when values given for a query can't be stored in
+ * their columns as they are. Every problem found while building the query is
+ * listed, rather than only the first one
+ ******************************************************************************/
+function ValidationError(errors) {
+	Error.call(this);
+	this.name = 'ValidationError';
+	this.errors = errors;			//!< List of {table, column, value, reason} for each invalid value
+	this.message = 'Invalid values: ' + errors.map(function(v) {
+		return v.table + '.' + v.column + ' ' + v.reason;
+	}).join(', ');
+
+	if (Error.captureStackTrace)
+		Error.captureStackTrace(this, ValidationError);
+}
+inherit_error(ValidationError);
+
+/*******************************************************************************
+ * Error produced when a query can't be built as requested for its dialect, for
+ * example when it uses a clause that the database doesn't support and that can't
+ * be left out without changing what the query does
+ ******************************************************************************/
+function QueryError(message) {
+	Error.call(this);
+	this.name = 'QueryError';
+	this.message = message;
+
+	if (Error.captureStackTrace)
+		Error.captureStackTrace(this, QueryError);
+}
+inherit_error(QueryError);
+
+module.exports.ValidationError = ValidationError;
+module.exports.QueryError = QueryError;
@@ -6,7 +6,7 @@
  * Permission to use governed by the terms of the MIT license. See LICENSE for details
  */
 
-var mysql = require('mysql');
+var _ = require('underscore');
 var op = require('./operator_base');
 
 /*******************************************************************************
@@ -25,7 +25,7 @@ NullaryFunction.prototype.constructor = NullaryFunction;
  * @see Operator.get()
  */
 NullaryFunction.prototype.get = function(key, filter, options) {
-	return this.fn + '()';
+	return filter.get_dialect().func(this.fn, '');
 };
 
 /**
@@ -33,7 +33,7 @@ NullaryFunction.prototype.get = function(key, filter, options) {
  * @see Operator.getField()
  */
 NullaryFunction.prototype.getField = function(filter, options) {
-	return this.get();
+	return this.get(undefined, filter, options);
 }
 
 /*******************************************************************************
@@ -56,9 +56,9 @@ UnaryFunction.prototype.constructor = UnaryFunction;
  */
 UnaryFunction.prototype.get = function(key, filter, options) {
 	if (this.value === undefined)
-		return this.fn + '(' + filter.escapeKey(key, options) + ')';
+		return filter.get_dialect().func(this.fn, filter.escapeKey(key, options));
 	else
-		return this.fn + '(' + this.eval(this.value, key, filter, options) + ')';
+		return filter.get_dialect().func(this.fn, this.eval(this.value, key, filter, options));
 };
 
 /**
@@ -66,7 +66,25 @@ UnaryFunction.prototype.get = function(key, filter, options) {
  * @see Operator.getField()
  */
 UnaryFunction.prototype.getField = function(filter, options) {
-	return this.fn + '(' + filter.escapeKey(this.value, options) + ')';
+	return filter.get_dialect().func(this.fn, filter.escapeKey(this.value, options));
+};
+
+/*******************************************************************************
+ * VALUES() refers to a column of the row that would have been inserted, in an upsert,
+ * so the column is never prefixed with a table name, even where other columns are
+ ******************************************************************************/
+function ValuesFunction(name, fn, val) {
+	UnaryFunction.call(this, name, fn, val);
+}
+ValuesFunction.prototype = new UnaryFunction();
+ValuesFunction.prototype.constructor = ValuesFunction;
+
+/**
+ * Formats the function like any other unary function, without the table name
+ * @see Operator.get()
+ */
+ValuesFunction.prototype.get = function(key, filter, options) {
+	return UnaryFunction.prototype.get.call(this, key, filter, _.extend({}, options, {useName : false}));
 };
 
 /*******************************************************************************
@@ -99,7 +117,7 @@ BinaryFunction.prototype.get = function(key, filter, options) {
 	else
 		args = value + ', ' + field;
 	
-	return this.fn + '(' + args + ')';
+	return filter.get_dialect().func(this.fn, args);
 };
 
 /**
@@ -134,7 +152,7 @@ BinaryInfixOperator.prototype.get = function(key, filter, options) {
 	var field = filter.escapeKey((this.field === undefined) ? key : this.field, options);
 	var args;
 
-	return field + ' ' + this.fn + ' ' + value;
+	return field + ' ' + filter.get_dialect().infix(this.fn) + ' ' + value;
 };
 
 /**
@@ -146,6 +164,232 @@ BinaryInfixOperator.prototype.getField = function(filter, options) {
 	return this.get(this.field, filter, options);
 };
 
+/*******************************************************************************
+ * Base class for aggregate functions, which take a single field that may be
+ * modified with DISTINCT. The field is always treated as a column name, even in
+ * a where clause, where it defaults to the column being used
+ ******************************************************************************/
+function AggregateFunction(name, fn, field) {
+	op.Operator.call(this, name);
+	this.fn = fn;
+	this.field = field;
+	this.is_distinct = false;		//!< Should only distinct values be aggregated
+}
+AggregateFunction.prototype = new op.Operator();
+AggregateFunction.prototype.constructor = AggregateFunction;
+
+/**
+ * Only aggregate distinct values of the field, i.e. COUNT(DISTINCT `id`)
+ * @return Chainable this pointer
+ */
+AggregateFunction.prototype.distinct = function() {
+	this.is_distinct = true;
+	return this;
+};
+
+/**
+ * Formats the argument list, which is the field with an optional DISTINCT modifier
+ * @param key The column name to use if no field was given
+ * @param filter The filter context where we're retrieving values
+ * @param options Options to be passed to the key escape function
+ * @return String formatted arguments
+ */
+AggregateFunction.prototype.getArgs = function(key, filter, options) {
+	var field = (this.field === undefined) ? key : this.field;
+	var expr = (field === '*') ? '*' : filter.escapeKey(field, options);
+	return (this.is_distinct ? 'DISTINCT ' : '') + expr;
+};
+
+/**
+ * Applies the function to the field given, or the column it is used with if none was given
+ * @see Operator.get()
+ */
+AggregateFunction.prototype.get = function(key, filter, options) {
+	return filter.get_dialect().func(this.fn, this.getArgs(key, filter, options));
+};
+
+/**
+ * Requires that a field was given at construction time, and then delegates to get()
+ * @see Operator.getField()
+ */
+AggregateFunction.prototype.getField = function(filter, options) {
+	return this.get(this.field, filter, options);
+};
+
+/*******************************************************************************
+ * GROUP_CONCAT() has additional ORDER BY and SEPARATOR modifiers, and a different
+ * form in most other databases, so it is formatted by the dialect
+ ******************************************************************************/
+function GroupConcatFunction(name, field, sep) {
+	AggregateFunction.call(this, name, 'GROUP_CONCAT', field);
+	this.sep = sep;					//!< Separator string, or undefined for the default
+	this.order_by = [];				//!< Fields to order the values by before concatenating
+}
+GroupConcatFunction.prototype = new AggregateFunction();
+GroupConcatFunction.prototype.constructor = GroupConcatFunction;
+
+/**
+ * Specifies the order of the concatenated values. To specify direction, use $db.asc and $db.desc
+ * @param varargs list of fields to order by, or one array of a list of fields
+ * @return Chainable this pointer
+ */
+GroupConcatFunction.prototype.order = function() {
+	for (var i = 0; i < arguments.length; ++i) {
+		if (Array.isArray(arguments[i]))
+			Array.prototype.push.apply(this.order_by, arguments[i]);
+		else
+			this.order_by.push(arguments[i]);
+	}
+	return this;
+};
+
+/**
+ * Specifies the string placed between concatenated values
+ * @param sep The separator string
+ * @return Chainable this pointer
+ */
+GroupConcatFunction.prototype.separator = function(sep) {
+	this.sep = sep;
+	return this;
+};
+
+/**
+ * Delegates to the dialect with the escaped arguments, order, and separator. The separator
+ * must be a literal string in MySQL, so it is never parameterized
+ * @see Operator.get()
+ */
+GroupConcatFunction.prototype.get = function(key, filter, options) {
+	var dialect = filter.get_dialect();
+	var order = this.order_by.map(function(v) {
+		return filter.escapeKey(v, options);
+	}).join(', ');
+	var sep = (this.sep === undefined) ? undefined : dialect.escape(this.sep);
+
+	return dialect.group_concat(this.getArgs(key, filter, options), order, sep);
+};
+
+/*******************************************************************************
+ * Window functions, which are evaluated over a window of rows related to the
+ * current row, given by an OVER clause. This is either a dedicated window function
+ * such as ROW_NUMBER() or LAG(), or an aggregate function applied to a window
+ ******************************************************************************/
+function WindowFunction(name, fn, field, values, aggregate) {
+	op.Operator.call(this, name);
+	this.fn = fn;
+	this.field = field;				//!< Field that the function is applied to, null if it takes none
+	this.values = values || [];		//!< Additional literal arguments, such as the offset for LAG()
+	this.aggregate = aggregate;		//!< Aggregate function that is applied to the window instead
+	this.partition_by = [];			//!< Fields that divide rows into separate windows
+	this.order_by = [];				//!< Fields that order rows within each window
+	this.frame_clause = '';			//!< Verbatim frame specification, such as ROWS BETWEEN ...
+}
+WindowFunction.prototype = new op.Operator();
+WindowFunction.prototype.constructor = WindowFunction;
+
+/**
+ * Specifies the fields used to divide rows into windows, the PARTITION BY clause
+ * @param varargs list of fields to partition by, or one array of a list of fields
+ * @return Chainable this pointer
+ */
+WindowFunction.prototype.partition = function() {
+	for (var i = 0; i < arguments.length; ++i) {
+		if (Array.isArray(arguments[i]))
+			Array.prototype.push.apply(this.partition_by, arguments[i]);
+		else
+			this.partition_by.push(arguments[i]);
+	}
+	return this;
+};
+
+/**
+ * Specifies the order of rows within each window. To specify direction, use $db.asc and $db.desc
+ * @param varargs list of fields to order by, or one array of a list of fields
+ * @return Chainable this pointer
+ */
+WindowFunction.prototype.order = function() {
+	for (var i = 0; i < arguments.length; ++i) {
+		if (Array.isArray(arguments[i]))
+			Array.prototype.push.apply(this.order_by, arguments[i]);
+		else
+			this.order_by.push(arguments[i]);
+	}
+	return this;
+};
+
+/**
+ * Specifies the frame of rows within the window, which is included verbatim
+ * @param frame The frame clause, such as 'ROWS BETWEEN UNBOUNDED PRECEDING AND CURRENT ROW'
+ * @return Chainable this pointer
+ */
+WindowFunction.prototype.frame = function(frame) {
+	this.frame_clause = frame;
+	return this;
+};
+
+/**
+ * Formats the window specification that goes inside of OVER ()
+ * @param filter The filter context used to escape fields
+ * @param options Options to be passed to the key escape function
+ * @return String window specification, may be empty
+ */
+WindowFunction.prototype.getWindow = function(filter, options) {
+	var escape = function(v) {
+		return filter.escapeKey(v, options);
+	};
+	var clauses = [];
+
+	if (this.partition_by.length > 0)
+		clauses.push('PARTITION BY ' + this.partition_by.map(escape).join(', '));
+	if (this.order_by.length > 0)
+		clauses.push('ORDER BY ' + this.order_by.map(escape).join(', '));
+	if (this.frame_clause.length > 0)
+		clauses.push(this.frame_clause);
+
+	return clauses.join(' ');
+};
+
+/**
+ * Formats the function call followed by its OVER clause. The field defaults to the
+ * column the function is used with, for functions that take one
+ * @see Operator.get()
+ */
+WindowFunction.prototype.get = function(key, filter, options) {
+	var expr;
+
+	if (this.aggregate) {
+		expr = this.aggregate.get(key, filter, options);
+	}
+	else {
+		var args = [];
+		var field = (this.field === undefined) ? key : this.field;
+		if (field !== null && field !== undefined)
+			args.push(filter.escapeKey(field, options));
+		// Offsets and counts must not be converted to the type of the field
+		this.values.forEach(function(v) {
+			args.push(this.eval(v, null, filter, options));
+		}, this);
+		expr = filter.get_dialect().func(this.fn, args.join(', '));
+	}
+
+	return expr + ' OVER (' + this.getWindow(filter, options) + ')';
+};
+
+/**
+ * Delegates to get() with the field given at construction time
+ * @see Operator.getField()
+ */
+WindowFunction.prototype.getField = function(filter, options) {
+	return this.get(this.field, filter, options);
+};
+
+/**
+ * Applies an aggregate function to a window of rows, rather than a group
+ * @return WindowFunction that can have its partition and order specified
+ */
+AggregateFunction.prototype.over = function() {
+	return new WindowFunction(this.name, this.fn, this.field, [], this);
+};
+
 /*******************************************************************************
  * Create complete list of operators/functions/etc. defined here and export it
  ******************************************************************************/
@@ -155,7 +399,7 @@ var operators = {};
 var nullary_functions = [
 	['$rand', 'RAND'], ['$now', 'NOW'],
 	['$curdate', 'CURDATE'], ['$curtime', 'CURTIME'],
-	['$utc_date', 'UTC_DATE'], ['$utc_time', '$UTC_TIME'],
+	['$utc_date', 'UTC_DATE'], ['$utc_time', 'UTC_TIME'],
 	['$utc_timestamp', 'UTC_TIMESTAMP']];
 nullary_functions.forEach(function(v) {
 	operators[v[0]] = function() {
@@ -165,7 +409,7 @@ nullary_functions.forEach(function(v) {
 
 // Unary function information
 var unary_functions = [
-	['$count', 'COUNT'], ['$not', 'NOT'],
+	['$not', 'NOT'],
 	// String functions
 	['$length', 'LENGTH'], ['$char_length', 'CHAR_LENGTH'],
 	['$trim', 'TRIM'], ['$ltrim', 'LTRIM'], ['$rtrim', 'RTRIM'],
@@ -183,13 +427,43 @@ var unary_functions = [
 	// "Miscellaneous" functions
 	['$md5', 'MD5'], ['$sha1', 'SHA1'], ['$compress', 'COMPRESS'],
 	['$uncompress', 'UNCOMPRESS'], ['$encrypt', 'ENCRYPT'],
-	['$inet_aton', 'INET_ATON'], ['$inet_ntoa', 'INET_NTOA'],
+	['$inet_aton', 'INET_ATON'], ['$inet_ntoa', 'INET_NTOA']
 	];
 unary_functions.forEach(function(v) {
 	operators[v[0]] = function(value) {
 		return new UnaryFunction(v[0], v[1], value);
 	};
 });
+operators.$values = function(value) { return new ValuesFunction('$values', 'VALUES', value); };
+
+// Aggregate function information
+var aggregate_functions = [
+	['$count', 'COUNT'], ['$sum', 'SUM'], ['$avg', 'AVG'],
+	['$min', 'MIN'], ['$max', 'MAX'], ['$stddev', 'STDDEV']];
+aggregate_functions.forEach(function(v) {
+	operators[v[0]] = function(field) {
+		return new AggregateFunction(v[0], v[1], field);
+	};
+});
+operators.$group_concat = function(field, sep) { return new GroupConcatFunction('$group_concat', field, sep); };
+
+// Window function information, with the number of literal arguments after the field
+// (functions without a field have -1)
+var window_functions = [
+	['$row_number', 'ROW_NUMBER', -1], ['$rank', 'RANK', -1],
+	['$dense_rank', 'DENSE_RANK', -1], ['$percent_rank', 'PERCENT_RANK', -1],
+	['$cume_dist', 'CUME_DIST', -1],
+	['$first_value', 'FIRST_VALUE', 0], ['$last_value', 'LAST_VALUE', 0],
+	['$lag', 'LAG', 2], ['$lead', 'LEAD', 2], ['$nth_value', 'NTH_VALUE', 1]];
+window_functions.forEach(function(v) {
+	operators[v[0]] = function(field) {
+		if (v[2] < 0)
+			return new WindowFunction(v[0], v[1], null, []);
+		var values = Array.prototype.slice.call(arguments, 1, 1 + v[2]);
+		return new WindowFunction(v[0], v[1], field, values);
+	};
+});
+operators.$ntile = function(n) { return new WindowFunction('$ntile', 'NTILE', null, [n]); };
 
 // Binary function information
 var binary_functions = [
@@ -228,5 +502,7 @@ binary_infix.forEach(function(v) {
 	};
 });
 
-// Finally, export operators from the module, but no need for classes
+// Finally, export operators from the module, and the classes that queries need to recognize
+module.exports.AggregateFunction = AggregateFunction;
+module.exports.WindowFunction = WindowFunction;
 module.exports.operators = operators;
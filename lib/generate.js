@@ -72,26 +72,61 @@ function check_prompt(field, defval) {
 }
 
 function get_field_type(type) {
-	var match = type.match(/([^\(]*)(?:\((\d+)\))?/);
-	var ftype = match[1];
-	var length = match[2];
+	var match = type.match(/^([^\(\s]*)(?:\((.*)\))?/);
+	var ftype = match[1].toLowerCase();
+	var args = match[2];
 
-	if (ftype.match(/bigint/i))
+	if (ftype == 'bool' || ftype == 'boolean' || (ftype == 'tinyint' && args == '1'))
+		return 'db.bool_t';
+	else if (ftype.match(/bigint/))
 		return 'db.bigint_t';
-	else if (ftype.match(/int/i))
+	else if (ftype.match(/int/))
 		return 'db.int_t';
-	else if (type.match(/varchar/i))
-		return '[db.varchar_t, '+length+']';
-	else if (type.match(/datetime/i))
-		return 'db.datetime_t';
-	else if (type.match(/timestamp/i))
-		return 'db.timestamp_t';
-	else if (type.match(/text/i))
+	else if (ftype == 'decimal' || ftype == 'numeric')
+		return args ? '[db.decimal_t, '+args.replace(/\s/g, '').split(',').join(', ')+']' : 'db.decimal_t';
+	else if (ftype == 'float' || ftype == 'double' || ftype == 'real')
+		return 'db.float_t';
+	else if (ftype == 'varchar')
+		return '[db.varchar_t, '+args+']';
+	else if (ftype == 'char')
+		return '[db.char_t, '+args+']';
+	else if (ftype == 'datetime')
+		return args ? '[db.datetime_t, '+args+']' : 'db.datetime_t';
+	else if (ftype == 'timestamp')
+		return args ? '[db.timestamp_t, '+args+']' : 'db.timestamp_t';
+	else if (ftype == 'date')
+		return 'db.date_t';
+	else if (ftype == 'time')
+		return 'db.time_t';
+	else if (ftype == 'year')
+		return 'db.year_t';
+	else if (ftype.match(/text/))
 		return 'db.text_t';
+	else if (ftype.match(/blob|binary/))
+		return 'db.blob_t';
+	else if (ftype == 'enum' || ftype == 'set')
+		return '[db.'+ftype+'_t, '+JSON.stringify(get_enum_values(args))+']';
+	else if (ftype == 'json')
+		return 'db.json_t';
 	else
 		return undefined;
 }
 
+/**
+ * Parses the list of quoted values from an ENUM or SET column definition
+ * @param args The part of the definition in parentheses, such as 'a','b'
+ * @return Array of values
+ */
+function get_enum_values(args) {
+	var values = [];
+	var re = /'((?:[^']|'')*)'/g;
+	var match;
+
+	while ((match = re.exec(args || '')) !== null)
+		values.push(match[1].replace(/''/g, "'"));
+	return values;
+}
+
 var get_filter_name = new fl.Chain(
 	function prompt(env, after, table) {
 		env.table = table;
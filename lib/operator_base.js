@@ -13,6 +13,16 @@ function Operator(name) {
 	this.require_group = false;
 }
 
+/**
+ * Checks if a value is a query object, which should be included as a subquery. Queries
+ * are defined in queries.js, which depends on this file, so we check for the interface
+ * @param value The value to check
+ * @return bool True if value is a query
+ */
+function is_query(value) {
+	return !!value && typeof value.getSubquery == 'function';
+}
+
 /**
  * Access wrapper that will either return a value, or if it is a nested value,
  * will evaluate it and then return that
@@ -23,14 +33,17 @@ function Operator(name) {
  * @return String evaluated+escaped version of value
  */
 Operator.prototype.eval = function(value, key, filter, options) {
-	if (value instanceof Operator) {
+	if (is_query(value)) {
+		return value.getSubquery(options);
+	}
+	else if (value instanceof Operator) {
 		var result = value.get(key, filter, options);
 		if (this.require_group)
 			return '(' + result + ')';
 		return result;
 	}
 	else {
-		return filter.handle_type(key, value);
+		return filter.handle_type(key, value, options);
 	}
 };
 
@@ -46,6 +59,16 @@ Operator.prototype.get = function(key, filter, options) {
 	throw new Error('Call to abstract method db-filters.Operator.get()');
 };
 
+/**
+ * Checks if this operator refers to the column it is used with, which must then be one of
+ * the table's columns. Operators that build their own expression, such as groups of
+ * conditions, ignore the column name
+ * @return bool True if the column name is used
+ */
+Operator.prototype.usesKey = function() {
+	return true;
+};
+
 /**
  * Abstract implementation of getField throws an exception, this should be overridden
  * in derived classes that can be used as a field in a select query
@@ -83,31 +106,40 @@ RawFunction.prototype.getField = function(key, filter, options) {
 	return this.str;
 }
 
+/**
+ * Raw strings never refer to the column
+ * @see Operator.usesKey()
+ */
+RawFunction.prototype.usesKey = function() {
+	return false;
+};
+
 /*******************************************************************************
  * The field function is used to pass through field names as arguments to
  * another function, in a situation where this would normally not be allowed.
  * One good example is passing a second field to atan2(), instead of an actual
- * value
+ * value. A field may be bound to a filter and to the options (alias) for one
+ * table in a query, so that it refers to that table no matter where it is used
  ******************************************************************************/
-function FieldFunction(field, filter) {
+function FieldFunction(field, filter, options) {
 	Operator.call(this, '$field');
 	this.field = field;
 	this.filter = filter;
+	this.options = options;
 }
 FieldFunction.prototype = new Operator();
 FieldFunction.prototype.constructor = FieldFunction;
 
 /**
- * get() passes the field to the filter for escaping, always
- * @todo Using the given options is incorrect; we need to get a set of options from the correct query to retrieve the correct table alias for prefixing the field name
- * @todo But there is no way to do that yet, so add the query to options, and add a way to retrieve the alias for a given filter
+ * get() passes the field to the filter for escaping, always. If this field is not bound
+ * to a table's options, the options of the table where it is used determine the prefix
  * @see Operator.getField()
  */
 FieldFunction.prototype.get = function(key, filter, options) {
 	var realFilter = (this.filter === undefined ? filter : this.filter);
 	var realField = (this.field === undefined ? key : this.field);
 
-	return realFilter.escapeKey(realField, options);
+	return realFilter.escapeKey(realField, this.options || options);
 }
 
 /**
@@ -125,10 +157,11 @@ var operators = {};
 
 // Wrap the constructors in a function for consistency of interface
 operators.$raw = function(str) { return new RawFunction(str); };
-operators.$field = function(field, filter) { return new FieldFunction(field, filter); };
+operators.$field = function(field, filter, options) { return new FieldFunction(field, filter, options); };
 operators.$f = operators.$field;
 
 // Definition exports
 module.exports.Operator = Operator;
 module.exports.RawFunction = RawFunction;
+module.exports.is_query = is_query;
 module.exports.operators = operators;
@@ -39,5 +39,9 @@ by.$desc = function(field) { return new OrderFunction('$desc', 'DESC', field); }
 // Interface exposed to db-filters.js
 module.exports.Operator = op.Operator;
 module.exports.RawFunction = op.RawFunction;
+module.exports.is_query = op.is_query;
 module.exports.Conditional = c.Conditional;
+module.exports.OrderFunction = OrderFunction;
+module.exports.AggregateFunction = f.AggregateFunction;
+module.exports.WindowFunction = f.WindowFunction;
 module.exports.operators = _.extend({}, op.operators, c.operators, f.operators, by);
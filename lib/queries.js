@@ -7,7 +7,8 @@
  */
 
 var _ = require('underscore');
-var mysql = require('mysql');
+var op = require('./operators');
+var db = require('./db-filters');
 
 /**
  * Class that wraps a table definition, mostly just for simplicity
@@ -24,6 +25,10 @@ function TableInfo(filter, options, joinType) {
 	this.where = {};
 	this.order = [];
 	this.group = [];
+	this.having = {};
+	this.using = [];
+	this.values = {};
+	this.subquery = null;
 }
 
 /**
@@ -33,6 +38,7 @@ function TableInfo(filter, options, joinType) {
 function Query(filter) {
 	this._tables = [new TableInfo(filter, {useName : false, alias : ''})];
 	this._limit = [];					//!< List of limit parameters
+	this._returning = [];				//!< List of fields for the RETURNING clause
 	this._options = {};
 }
 
@@ -45,12 +51,101 @@ function not_supported() {
 	db.log(db.l_error, 'This function (' + arguments.callee + ') is not implemented for ' + this.constructor.name);
 }
 
+/**
+ * Lists the named fields that a table contributes to the result rows, in order. Fields from
+ * * are the columns declared in the filter, and unnamed expressions are left out
+ * @param table A TableInfo instance
+ * @return Array of {column, name}, where column is the table's column that the field comes
+ *         from, or null for expressions
+ */
+function get_outputs(table) {
+	var fields = (table.fields.length == 0) ? ['*'] : table.fields;
+	var outputs = [];
+
+	fields.forEach(function(v) {
+		if (v === '*') {
+			_.each(table.filter.columns, function(type, name) {
+				outputs.push({column : name, name : name});
+			});
+		}
+		else if (_.isArray(v)) {
+			if (v.length > 0)
+				outputs.push({column : _.isString(v[0]) ? v[0] : null, name : v[1]});
+		}
+		else if (_.isString(v)) {
+			outputs.push({column : v, name : v});
+		}
+	});
+	return outputs;
+}
+
+/**
+ * Lists the named fields that a table contributes to the result rows, with the filter
+ * that their columns belong to
+ * @param table A TableInfo instance
+ * @return Array of {filter, column, name}, @see get_outputs()
+ */
+function get_table_outputs(table) {
+	return get_outputs(table).map(function(v) {
+		return _.extend({filter : table.filter}, v);
+	});
+}
+
+/**
+ * Adds the fields that a table contributes to the result rows to a map of field names to the
+ * columns they come from. A later field with the same name replaces an earlier one, just as
+ * it does in the rows returned by the driver
+ * @param columns Object mapping field names to {filter, column}, or to null for fields that
+ *                don't come from a column
+ * @param table A TableInfo instance
+ * @return Object columns, with the table's fields added
+ */
+function add_row_columns(columns, table) {
+	var filter = table.filter;
+	get_outputs(table).forEach(function(v) {
+		columns[v.name] = (v.column !== null && filter.columns[v.column] !== undefined) ? {filter : filter, column : v.column} : null;
+	});
+	return columns;
+}
+
+/**
+ * Checks if an ON clause entry uses the shorthand for relating columns from different tables,
+ * which is an array or an object whose keys are all table indices, as opposed to a where
+ * clause object for the joined table
+ * @param on The ON clause entry
+ * @return bool True if this is the column equality shorthand
+ */
+function is_on_shorthand(on) {
+	if (_.isArray(on))
+		return true;
+	return _.keys(on).every(function(k) {
+		return /^\d+$/.test(k);
+	});
+}
+
+/**
+ * Checks if a field is computed from several rows, by an aggregate or window function,
+ * including one that is used as an argument of another function
+ * @param field The field, as given to fields()
+ * @return bool True if the field uses an aggregate or window function
+ */
+function is_aggregate(field) {
+	if (_.isArray(field))
+		return field.length > 0 && is_aggregate(field[0]);
+	if (field instanceof op.AggregateFunction || field instanceof op.WindowFunction)
+		return true;
+	if (field instanceof op.Operator)
+		return is_aggregate(field.field) || is_aggregate(field.value);
+	return false;
+}
+
 // Add member functions to the query definition
 _.extend(Query.prototype, {
 	/**
 	 * These three exist for the SELECT query only, so we don't provide global implementations
 	 */
 	group : not_supported,
+	having : not_supported,
 	fields : not_supported,
 	order : not_supported,
 
@@ -82,12 +177,233 @@ _.extend(Query.prototype, {
 	 * @return String verbatim LIMIT statement, will be empty if no limits specified
 	 */
 	getLimit : function() {
+		var table = this._tables[0];
 		if (this._limit.length > 0) {
-			return ' LIMIT ' + this._limit.join(', ');
+			return this.getDialect().limit(this._limit, function(v) {
+				if (table.options.params)
+					return table.filter.escape_value(parseInt(v), table.options);
+				return v;
+			});
 		}
 		return '';
 	},
 
+	/**
+	 * Retrieves the SQL dialect used for this query, which is the dialect of the primary table
+	 * @return Dialect instance
+	 */
+	getDialect : function() {
+		return this._tables[0].filter.get_dialect();
+	},
+
+	/**
+	 * Creates a reference to a field of one of the tables in this query, which is always
+	 * prefixed with that table's alias (or name) when the query is a join, no matter which
+	 * clause it is used in. This distinguishes between several joins of the same table
+	 * @param idx The table index, optional, defaults to 0 (primary table)
+	 * @param field The name of the field
+	 * @return Operator that can be used as a field or a value
+	 */
+	ref : function(idx, field) {
+		if (typeof idx != 'number') {
+			field = arguments[0];
+			idx = 0;
+		}
+		var table = this._tables[idx];
+		return op.operators.$field(field, table.filter, table.options);
+	},
+
+	/**
+	 * Specifies fields to be returned from the modified rows, for dialects that support
+	 * a RETURNING clause
+	 * @param varargs list of fields, or one array of a list of fields
+	 * @return Chainable this pointer
+	 */
+	returning : function() {
+		for (var i = 0; i < arguments.length; ++i) {
+			if (_.isArray(arguments[i]))
+				Array.prototype.push.apply(this._returning, arguments[i]);
+			else
+				this._returning.push(arguments[i]);
+		}
+		return this;
+	},
+
+	/**
+	 * Retrieves the RETURNING clause, if fields were given. Leaving it out would return a
+	 * result object where rows were expected, so the query is refused instead
+	 * @return String verbatim RETURNING clause, empty if there isn't one
+	 * @throws QueryError if fields were given and the dialect doesn't support RETURNING
+	 */
+	getReturning : function() {
+		var table = this._tables[0];
+
+		if (this._returning.length == 0)
+			return '';
+
+		if (!this.getDialect().returning)
+			throw new db.QueryError('RETURNING is not supported by the ' + this.getDialect().name + ' dialect');
+
+		return ' RETURNING ' + this._returning.map(function(v) {
+			return table.filter.escapeKey(v, table.options);
+		}).join(', ');
+	},
+
+	/**
+	 * Helper used by buildQuery() to produce a parameterized query when requested. While the
+	 * query is being built, every table's options share one parameter list, so that all
+	 * literal values are collected in order and replaced with placeholders. Invalid values
+	 * found in strict mode are collected as well, @see db.validate()
+	 * @param options The options given to buildQuery(), may be undefined
+	 * @param build Function that builds the SQL string, called with this query as this
+	 * @return String SQL query, or an object with the sql and its values if parameterized
+	 */
+	parameterize : function(options, build) {
+		return db.validate(function() {
+			if (!options || !options.parameterized)
+				return build.call(this);
+
+			var values = [];
+			var sql = this.withParams(values, build);
+			return {sql : this.getDialect().number_placeholders(sql), values : values};
+		}, this);
+	},
+
+	/**
+	 * Builds the query while every table's options share the given parameter list, so that
+	 * all literal values are collected in order and replaced with placeholders
+	 * @param values The parameter list to save values to
+	 * @param build Function that builds the SQL string, called with this query as this
+	 * @return String SQL query
+	 */
+	withParams : function(values, build) {
+		this._tables.forEach(function(t) { t.options.params = values; });
+		try {
+			return build.call(this);
+		}
+		finally {
+			this._tables.forEach(function(t) { delete t.options.params; });
+		}
+	},
+
+	/**
+	 * Builds this query for inclusion in another query, wrapped in parentheses. If the outer
+	 * query is parameterized, this query's values are added to the same parameter list
+	 * @param options The options of the outer query where this is being included
+	 * @return String SQL subquery
+	 */
+	getSubquery : function(options) {
+		if (options && options.params)
+			return '(' + this.withParams(options.params, this.buildQuery) + ')';
+		return '(' + this.buildQuery() + ')';
+	},
+
+	/**
+	 * Collects the common table expressions used by the tables in this query, including the
+	 * ones that they depend on, which are listed first
+	 * @param list Array of CTE definitions found so far
+	 * @param visiting Array of CTE definitions being collected, to stop recursive references
+	 * @return Array list, with any new CTE definitions added
+	 */
+	getCTEs : function(list, visiting) {
+		this._tables.forEach(function(t) {
+			var cte = t.filter.cte;
+			if (cte && list.indexOf(cte) < 0 && visiting.indexOf(cte) < 0) {
+				visiting.push(cte);
+				cte.query.getCTEs(list, visiting);
+				list.push(cte);
+			}
+		});
+		return list;
+	},
+
+	/**
+	 * Retrieves the WITH clause that defines the common table expressions used by this query
+	 * @return String verbatim WITH clause, empty if no CTEs are used
+	 */
+	getWith : function() {
+		var dialect = this.getDialect();
+		var params = this._tables[0].options.params;
+		var ctes = this.getCTEs([], []);
+
+		if (ctes.length == 0)
+			return '';
+
+		var recursive = _.some(ctes, function(cte) {
+			return cte.recursive;
+		});
+
+		return 'WITH ' + (recursive ? 'RECURSIVE ' : '') + ctes.map(function(cte) {
+			var columns = '';
+			var query = cte.query;
+
+			if (cte.columns) {
+				columns = ' (' + cte.columns.map(function(v) {
+					return dialect.escapeId(v);
+				}).join(', ') + ')';
+			}
+
+			var sql = params ? query.withParams(params, query.getStatement) : query.getStatement();
+			return dialect.escapeId(cte.name) + columns + ' AS (' + sql + ')';
+		}).join(', ') + ' ';
+	},
+
+	/**
+	 * Checks if other tables have been joined to this query
+	 * @return bool True if there is at least one join
+	 */
+	isJoined : function() {
+		return this._tables.length > 1;
+	},
+
+	/**
+	 * Retrieves the table names for an UPDATE or DELETE, including joins, which are only
+	 * allowed by some dialects
+	 * @return String table name portion of query
+	 * @throws QueryError if tables were joined and the dialect doesn't support it
+	 */
+	getUpdateTables : function() {
+		if (this.isJoined() && !this.getDialect().update_join)
+			throw new db.QueryError('JOIN on UPDATE or DELETE is not supported by the ' + this.getDialect().name + ' dialect');
+		return this.getTableNameClause();
+	},
+
+	/**
+	 * Retrieves the ORDER BY clause for an UPDATE or DELETE, which is only allowed by some dialects
+	 * @return String verbatim ORDER BY clause, empty if there isn't one
+	 * @throws QueryError if an order was given and the dialect doesn't support it, or tables were joined
+	 */
+	getUpdateOrder : function() {
+		var order = this.getOrderBy();
+		if (order.length > 0 && !this.getDialect().update_limit)
+			throw new db.QueryError('ORDER BY on UPDATE or DELETE is not supported by the ' + this.getDialect().name + ' dialect');
+		if (order.length > 0 && this.isJoined())
+			throw new db.QueryError('ORDER BY is not allowed on UPDATE or DELETE with joined tables');
+		return order;
+	},
+
+	/**
+	 * Retrieves the LIMIT clause for an UPDATE or DELETE, which is only allowed by some dialects.
+	 * Leaving it out would change which rows are affected, so the query is refused instead
+	 * @return String verbatim LIMIT clause, empty if there isn't one
+	 * @throws QueryError if a limit was given and the dialect doesn't support it, or tables were joined
+	 */
+	getUpdateLimit : function() {
+		if (this._limit.length > 0 && !this.getDialect().update_limit)
+			throw new db.QueryError('LIMIT on UPDATE or DELETE is not supported by the ' + this.getDialect().name + ' dialect');
+		if (this._limit.length > 0 && this.isJoined())
+			throw new db.QueryError('LIMIT is not allowed on UPDATE or DELETE with joined tables');
+		return this.getLimit();
+	},
+
+	/**
+	 * Shorthand for building a parameterized query
+	 * @return Object with the sql, using ? placeholders, and the list of values
+	 */
+	toSQL : function() {
+		return this.buildQuery({parameterized : true});
+	},
+
 	/**
 	 * We provide a default implementation for limit because it is used by three of the four queries that
 	 * are provided, so this reduces repetition. Formal parameters are limit([offset,] count)
@@ -114,19 +430,204 @@ _.extend(Query.prototype, {
 	
 	/**
 	 * Executes the query, calling methods that must be implemented in order to produce the
-	 * query string, and then retrieving the connection object from the db filter given
+	 * query string, and then retrieving the connection object from the db filter given. If
+	 * no callbacks are given, a Promise for the results is returned instead. In strict mode,
+	 * invalid values are given to the failure callback as a ValidationError, @see db.set_strict(),
+	 * and queries that can't be built for the dialect are given to it as a QueryError
 	 * @param success Callback to invoke on success, with one argument, the results
 	 * @param failure Callback to invoke on failure, with one argument, the error object
+	 * @return Promise if no callbacks were given, otherwise nothing
 	 */
 	exec : function(success, failure) {
-		var query = this.buildQuery();
-		this._tables[0].filter.query(_.extend({sql : query}, this._options), success, failure);
+		if (success === undefined && failure === undefined) {
+			var that = this;
+			return new Promise(function(resolve, reject) {
+				that.exec(resolve, reject);
+			});
+		}
+
+		var filter = this._tables[0].filter;
+		var queries;
+
+		try {
+			queries = this.buildQueries(db.use_params ? {parameterized : true} : undefined);
+		}
+		catch (err) {
+			if (!(err instanceof db.ValidationError) && !(err instanceof db.QueryError))
+				throw err;
+			failure(err);
+			return;
+		}
+
+		var options = this.getDriverOptions();
+
+		queries = queries.map(function(v) {
+			return _.extend(_.isString(v) ? {sql : v} : v, options);
+		});
+
+		var that = this;
+		if (queries.length == 1) {
+			filter.query(queries[0], function(rows) {
+				success(that.decodeRows(rows));
+			}, failure);
+			return;
+		}
+
+		// Without a connection, this only reports that none has been set
+		if (!filter.conn && !filter.pool) {
+			filter.get_conn(failure);
+			return;
+		}
+
+		// Several statements are executed in order, in a transaction (or a savepoint, if one is
+		// already open on the connection), so that a failure doesn't leave some of them applied
+		db.transaction(filter.conn || filter.pool, {filter : filter}, function(tx, done) {
+			var results = [];
+			var next = function() {
+				if (results.length == queries.length) {
+					done(null, results);
+					return;
+				}
+
+				tx.filter.query(queries[results.length], function(rows) {
+					results.push(that.decodeRows(rows));
+					next();
+				}, done);
+			};
+			next();
+		}, success, failure);
+	},
+
+	/**
+	 * Retrieves the options that are passed to the driver with each statement, @see options()
+	 * @return Object driver options
+	 */
+	getDriverOptions : function() {
+		return this._options;
+	},
+
+	/**
+	 * Converts the rows returned by this query, decoding their values for the column types
+	 * of the tables in the query, @see db.set_decode(), and creating models for tables that
+	 * have them. Each field in a flat row is decoded for the column that it comes from, and
+	 * the whole row becomes a model of the primary table. Nested rows are split up by table
+	 * first, @see SelectQuery.nest()
+	 * @param rows The rows returned by the database, or the result object for statements that
+	 *             don't return rows, which is left alone
+	 * @return Array of converted rows
+	 */
+	decodeRows : function(rows) {
+		if (!_.isArray(rows))
+			return rows;
+
+		if (this._nest)
+			return rows.map(this.nestRow, this);
+
+		var columns = this.getRowColumns();
+		var filter = this._tables[0].filter;
+		return rows.map(function(row) {
+			_.each(row, function(value, name) {
+				var c = columns[name];
+				if (c)
+					row[name] = c.filter.read_value(c.column, value);
+			});
+			return filter.hydrate(row);
+		});
+	},
+
+	/**
+	 * Finds the column that each field in the result rows comes from. By default, rows only
+	 * contain columns of the primary table, as they do for a RETURNING clause
+	 * @return Object mapping field names to {filter, column}, or to null if they aren't columns
+	 */
+	getRowColumns : function() {
+		return add_row_columns({}, this._tables[0]);
+	},
+
+	/**
+	 * Lists the named fields in the rows returned by this query, in order, with the columns
+	 * that they come from. By default, rows only contain fields of the primary table
+	 * @return Array of {filter, column, name}, where column is null for expressions
+	 */
+	getOutputs : function() {
+		return get_table_outputs(this._tables[0]);
+	},
+
+	/**
+	 * Splits a row into an object for each table, and converts each table's object. Drivers
+	 * that nest rows themselves put the fields that don't come from a table under '', and
+	 * otherwise the alias.column names that were given to the fields are used
+	 * @param row The row returned by the driver
+	 * @return Object mapping table aliases to their values
+	 */
+	nestRow : function(row) {
+		var keys = this._tables.map(this.getTableKey, this);
+		var result = {};
+
+		if (this.getDialect().nest_tables) {
+			_.each(row, function(value, name) {
+				if (name === '')
+					_.extend(result, value);
+				else
+					result[name] = value;
+			});
+		}
+		else {
+			_.each(row, function(value, name) {
+				var dot = name.indexOf('.');
+				var idx = (dot > 0) ? keys.indexOf(name.substring(0, dot)) : -1;
+
+				if (idx < 0) {
+					result[name] = value;
+				}
+				else {
+					result[keys[idx]] = result[keys[idx]] || {};
+					result[keys[idx]][name.substring(dot + 1)] = value;
+				}
+			});
+		}
+
+		this._tables.forEach(function(table, i) {
+			if (result[keys[i]])
+				result[keys[i]] = table.filter.hydrate(table.filter.convert_row(result[keys[i]]));
+		});
+		return result;
+	},
+
+	/**
+	 * Makes queries thenable, so that they can be awaited or returned from promise callbacks
+	 * directly. Each call executes the query again
+	 * @param resolved Callback for the results, as in Promise.then()
+	 * @param rejected Callback for the error, as in Promise.then()
+	 * @return Promise chained from the query execution
+	 */
+	then : function(resolved, rejected) {
+		return this.exec().then(resolved, rejected);
+	},
+
+	/**
+	 * Executes the query, handling only errors, as in Promise.catch()
+	 * @param rejected Callback for the error
+	 * @return Promise chained from the query execution
+	 */
+	catch : function(rejected) {
+		return this.exec().then(undefined, rejected);
+	},
+
+	/**
+	 * Returns the list of statements that must be executed for this query. Most queries
+	 * produce exactly one statement, so this wraps buildQuery() by default
+	 * @param options Build options, @see buildQuery()
+	 * @return Array of SQL query strings, or of objects if parameterized
+	 */
+	buildQueries : function(options) {
+		return [this.buildQuery(options)];
 	}
 });
 
 /**
- * DeleteQuery is used to construct a DELETE statement. It is simple and defines no additional
- * interface over the base Query class
+ * DeleteQuery is used to construct a DELETE statement. Rows are deleted from the primary table,
+ * but other tables may be joined to select them, in the same way as for a SelectQuery
  * @param filter The database filter to use for computing WHERE statements
  */
 DeleteQuery.prototype = new Query();
@@ -140,10 +641,16 @@ DeleteQuery.prototype.constructor = DeleteQuery;
 _.extend(DeleteQuery.prototype, {
 	/**
 	 * Builds the final query that is sent to SQL
-	 * @return String SQL query
+	 * @param options Optional build options, {parameterized : true} produces placeholders
+	 * @return String SQL query, or object with sql and values if parameterized
 	 */
-	buildQuery : function() {
-		return 'DELETE FROM ' + this._tables[0].filter.table + this.getWhere() + this.getLimit();
+	buildQuery : function(options) {
+		return this.parameterize(options, function() {
+			var target = '';
+			if (this.isJoined())
+				target = this.getDialect().escapeTable(this.getTableAlias(0)) + ' ';
+			return 'DELETE ' + target + 'FROM ' + this.getUpdateTables() + this.getWhere() + this.getUpdateOrder() + this.getUpdateLimit() + this.getReturning();
+		});
 	}
 });
 
@@ -153,11 +660,18 @@ _.extend(DeleteQuery.prototype, {
  * using the same decoding features as a where clause would normally do
  * @param filter The database filter to use for decoding the values
  * @param values The values to insert when this query is executed
+ * @param verb The statement to use, either INSERT (the default) or REPLACE
  */
 InsertQuery.prototype = new Query();
-function InsertQuery(filter, values) {
+function InsertQuery(filter, values, verb) {
 	Query.call(this, filter);
 	this.values = values;
+	this._verb = verb || 'INSERT';		//!< Either INSERT or REPLACE
+	this._ignore = false;				//!< Should this be an INSERT IGNORE
+	this._duplicate = undefined;		//!< Values for the ON DUPLICATE KEY UPDATE clause
+	this._conflict = [];				//!< Columns identifying a conflict, for dialects that need them
+	this._max_rows = undefined;			//!< Row limit per statement for multi-row inserts
+	this._max_size = undefined;			//!< Byte limit per statement for multi-row inserts
 }
 
 // Inherit/copy methods from Query, and then fill in how to build an INSERT query
@@ -170,17 +684,278 @@ _.extend(InsertQuery.prototype, {
 	limit : not_supported,
 
 	/**
-	 * Builds the final query that is sent to SQL
-	 * @return String SQL query
+	 * Changes the limits used to split a multi-row insert into several statements. If
+	 * not specified, the defaults db.insert_max_rows and db.insert_max_size are used
+	 * @param rows Maximum number of rows to include in a single statement
+	 * @param size Maximum length of a single statement in bytes, optional
+	 * @return Chainable this pointer
 	 */
-	buildQuery : function() {
-		return 'INSERT INTO ' + this._tables[0].filter.table + this._tables[0].filter.set(this.values);
+	chunk : function(rows, size) {
+		this._max_rows = rows;
+		if (size !== undefined)
+			this._max_size = size;
+		return this;
+	},
+
+	/**
+	 * Turns this into an INSERT IGNORE, so that rows that would violate a unique key are
+	 * silently skipped
+	 * @return Chainable this pointer
+	 */
+	ignore : function() {
+		this._ignore = true;
+		return this;
+	},
+
+	/**
+	 * Adds an ON DUPLICATE KEY UPDATE clause. The values are decoded in the same way as
+	 * those passed to update(), so operators like $add() may be used to maintain counters.
+	 * If an array of column names is given instead, each of those columns is updated with
+	 * the value that would have been inserted, and if nothing is given, this is done for
+	 * every column that is inserted. Some dialects (i.e. PostgreSQL) also require the
+	 * columns of the unique key that conflicts, which is ignored by MySQL
+	 * @param values Object of new values, array of column names, or nothing, as above
+	 * @param target Column name or array of column names of the conflicting key, optional
+	 * @return Chainable this pointer
+	 */
+	on_duplicate : function(values, target) {
+		this._duplicate = (values === undefined || values === null) ? true : values;
+		if (target !== undefined)
+			this._conflict = _.isArray(target) ? target : [target];
+		return this;
+	},
+
+	/**
+	 * Retrieves the beginning of the statement, up to and including the table name
+	 * @return String statement prefix
+	 * @throws QueryError if this is a REPLACE and the dialect doesn't support it
+	 */
+	getPrefix : function() {
+		var dialect = this.getDialect();
+
+		if (this._verb == 'REPLACE' && !dialect.replace)
+			throw new db.QueryError('REPLACE is not supported by the ' + dialect.name + ' dialect');
+
+		return dialect.insert_prefix(this._verb, dialect.escapeTable(this._tables[0].filter.table), this._ignore);
+	},
+
+	/**
+	 * Retrieves the ON DUPLICATE KEY UPDATE clause, if one was requested
+	 * @param columns List of the columns that are inserted, used when no values were given
+	 * @param options Options used to decode the values
+	 * @return String verbatim clause, empty if there isn't one
+	 * @throws QueryError if the dialect needs the conflicting columns and none were given
+	 */
+	getOnDuplicate : function(columns, options) {
+		var table = this._tables[0];
+		var dialect = this.getDialect();
+		var values = this._duplicate;
+
+		if (values === undefined)
+			return '';
+
+		if (dialect.upsert_target) {
+			if (this._conflict.length == 0)
+				throw new db.QueryError('Upserts require the conflicting columns for the ' + dialect.name + ' dialect');
+
+			// Both the existing row and the inserted one are visible here, so columns must be named by table
+			options = _.extend({}, options, {useName : true, assign : true});
+		}
+
+		if (values === true)
+			values = columns;
+
+		if (_.isArray(values)) {
+			values = _.object(values, values.map(function() {
+				return op.operators.$values();
+			}));
+		}
+
+		var result = table.filter.decode_filter(values, ', ', options);
+		if (result.length > 0) {
+			return dialect.upsert(this._conflict.map(function(v) {
+				return table.filter.escapeKey(v, table.options);
+			})) + result;
+		}
+		return '';
+	},
+
+	/**
+	 * Retrieves everything that follows the inserted values: the upsert clause or the dialect's
+	 * way to ignore duplicates, and the RETURNING clause
+	 * @param columns List of the columns that are inserted
+	 * @param options Options used to decode the values
+	 * @return String verbatim suffix, possibly empty
+	 */
+	getSuffix : function(columns, options) {
+		var suffix = this.getOnDuplicate(columns, options);
+		if (suffix.length == 0 && this._ignore)
+			suffix = this.getDialect().insert_ignore();
+		return suffix + this.getReturning();
+	},
+
+	/**
+	 * Builds the final query that is sent to SQL. If multiple rows were given and they
+	 * must be split into several statements, they are separated by semicolons here; use
+	 * buildQueries() to retrieve them individually
+	 * @param options Optional build options, {parameterized : true} produces placeholders
+	 * @return String SQL query, or object with sql and values if parameterized
+	 */
+	buildQuery : function(options) {
+		if (_.isArray(this.values) || !this.getDialect().insert_set) {
+			var queries = this.buildQueries(options);
+			if (options && options.parameterized) {
+				return {
+					sql : _.pluck(queries, 'sql').join('; '),
+					values : _.flatten(_.pluck(queries, 'values'), true)
+				};
+			}
+			return queries.join('; ');
+		}
+
+		return this.parameterize(options, function() {
+			var table = this._tables[0];
+			var columns = [];
+			var set = this.getSet(columns);
+			return this.getPrefix() + set + this.getSuffix(columns, table.options);
+		});
+	},
+
+	/**
+	 * Retrieves the SET clause for inserting a single row. Each value is decoded once, and
+	 * the columns that are given a value are collected, for an upsert that updates them
+	 * @param columns Array that the names of the assigned columns are added to
+	 * @return String verbatim SET clause, empty if there are no values
+	 */
+	getSet : function(columns) {
+		var table = this._tables[0];
+		var filter = table.filter;
+		var terms = [];
+
+		_.each(this.values, function(value, key) {
+			var row = {};
+			var params = table.options.params ? {} : undefined;
+
+			// Plain values are captured by column, while other terms (which have already added
+			// their parameters) are used as they are
+			filter.process(terms, _.extend({}, table.options, {row : row, row_params : params}), value, key);
+			_.each(row, function(v, c) {
+				if (params && params[c])
+					Array.prototype.push.apply(table.options.params, params[c]);
+				terms.push(filter.escapeKey(c, table.options) + ' = ' + v);
+				columns.push(c);
+			});
+		});
+
+		terms = terms.filter(function(t) {
+			return t.length > 0;
+		});
+		if (terms.length > 0)
+			return ' SET ' + terms.join(', ');
+		return '';
+	},
+
+	/**
+	 * Builds the statements needed to insert all of the rows given. A single object is
+	 * inserted with a SET clause, while an array of objects produces INSERT ... VALUES
+	 * statements, each limited by the configured number of rows and size in bytes
+	 * @param options Optional build options, {parameterized : true} produces placeholders
+	 * @return Array of SQL query strings, or of objects with sql and values if parameterized
+	 */
+	buildQueries : function(options) {
+		return db.validate(function() {
+			return this.buildStatements(options);
+		}, this);
+	},
+
+	/**
+	 * Builds the INSERT statements for buildQueries(), which collects any invalid values
+	 * from all of them. Rows that don't have every column get DEFAULT for the others
+	 * @param options Optional build options, @see buildQueries()
+	 * @return Array of SQL query strings, or of objects with sql and values if parameterized
+	 * @throws QueryError if rows have different columns and the dialect doesn't allow DEFAULT in VALUES
+	 */
+	buildStatements : function(options) {
+		var values = this.values;
+
+		// Dialects without INSERT ... SET insert single rows as a list of one
+		if (!_.isArray(values)) {
+			if (this.getDialect().insert_set)
+				return [this.buildQuery(options)];
+			values = [values];
+		}
+
+		var dialect = this.getDialect();
+		var table = this._tables[0];
+		var maxRows = this._max_rows || db.insert_max_rows;
+		var maxSize = this._max_size || db.insert_max_size;
+		var parameterized = options && options.parameterized;
+
+		// Decode every row first, because the column list is the union of all of them
+		var columns = [];
+		var rows = values.map(function(v) {
+			var params = parameterized ? {} : undefined;
+			var row = table.filter.decode_row(v, table.options, params);
+			columns = _.union(columns, _.keys(row));
+			return {values : row, params : params};
+		});
+
+		if (!dialect.values_default && _.some(rows, function(row) { return _.size(row.values) < columns.length; }))
+			throw new db.QueryError('Every inserted row must have the same columns for the ' + dialect.name + ' dialect');
+
+		var prefix = this.getPrefix() + ' (' + columns.map(function(c) {
+			return table.filter.escapeKey(c, table.options);
+		}).join(', ') + ') VALUES ';
+		var suffixParams = parameterized ? [] : undefined;
+		var suffix = this.getSuffix(columns, _.extend({}, table.options, {params : suffixParams}));
+
+		var queries = [];
+		var current = [];
+		var currentParams = [];
+		var size = Buffer.byteLength(prefix + suffix);
+
+		var flush = function() {
+			var sql = prefix + current.join(', ') + suffix;
+			if (parameterized)
+				queries.push({sql : dialect.number_placeholders(sql), values : currentParams.concat(suffixParams)});
+			else
+				queries.push(sql);
+
+			current = [];
+			currentParams = [];
+			size = Buffer.byteLength(prefix + suffix);
+		};
+
+		rows.forEach(function(row) {
+			var values = '(' + columns.map(function(c) {
+				return _.has(row.values, c) ? row.values[c] : 'DEFAULT';
+			}).join(', ') + ')';
+			var length = Buffer.byteLength(values);
+
+			if (current.length > 0 && (current.length >= maxRows || size + length + 2 > maxSize))
+				flush();
+
+			size += length + (current.length > 0 ? 2 : 0);
+			current.push(values);
+
+			if (parameterized) {
+				columns.forEach(function(c) {
+					if (row.params[c])
+						Array.prototype.push.apply(currentParams, row.params[c]);
+				});
+			}
+		});
+
+		if (current.length > 0)
+			flush();
+		return queries;
 	}
 });
 
 /**
  * An UpdateQuery is used to build UPDATE queries. It is simple, but it must make two filter
- * decodings, one for the values and the other for the WHERE clause
+ * decodings, one for the values and the other for the WHERE clause. Other tables may be joined,
+ * in the same way as for a SelectQuery, and their columns may be updated too
  * @param filter The database filter to use for decoding values
  * @param values The new values to be written in place
  * @param where The update criteria
@@ -188,7 +963,7 @@ _.extend(InsertQuery.prototype, {
 UpdateQuery.prototype = new Query();
 function UpdateQuery(filter, values, where) {
 	Query.call(this, filter);
-	this.values = values;
+	this._tables[0].values = values || {};
 	this.where(where);
 }
 
@@ -197,10 +972,45 @@ UpdateQuery.prototype.constructor = UpdateQuery;
 _.extend(UpdateQuery.prototype, {
 	/**
 	 * Builds the final query that is sent to SQL
-	 * @return String SQL query
+	 * @param options Optional build options, {parameterized : true} produces placeholders
+	 * @return String SQL query, or object with sql and values if parameterized
+	 */
+	buildQuery : function(options) {
+		return this.parameterize(options, function() {
+			return 'UPDATE ' + this.getUpdateTables() + this.getSet() + this.getWhere() + this.getUpdateOrder() + this.getUpdateLimit() + this.getReturning();
+		});
+	},
+
+	/**
+	 * Specifies more values to be written, for the primary table or a joined table
+	 * @param idx The table index, optional, defaults to 0 (primary table)
+	 * @param values The new values to be written in place
+	 * @return Chainable this pointer
+	 */
+	set : function(idx, values) {
+		if (typeof idx != 'number') {
+			values = arguments[0];
+			idx = 0;
+		}
+		_.extend(this._tables[idx].values, values);
+		return this;
+	},
+
+	/**
+	 * Retrieves the SET clause, combining the values for every table
+	 * @return String verbatim SET clause, empty if there are no values
 	 */
-	buildQuery : function() {
-		return 'UPDATE ' + this._tables[0].filter.table + this._tables[0].filter.set(this.values) + this.getWhere() + this.getLimit();
+	getSet : function() {
+		var values = [];
+		this._tables.forEach(function(v) {
+			var s = v.filter.decode_filter(v.values, ', ', v.options);
+			if (s.length > 0)
+				values.push(s);
+		});
+
+		if (values.length > 0)
+			return ' SET ' + values.join(', ');
+		return '';
 	}
 });
 
@@ -214,12 +1024,22 @@ SelectQuery.prototype = new Query();
 function SelectQuery(filter, where, alias) {
 	Query.call(this, filter);
 	this.where(where);
-	this._tables[0].options.alias = alias || '';
+	this._tables[0].options.alias = alias || filter.alias || '';
+	this._distinct = false;				//!< Should duplicate rows be removed
+	this._calc_found_rows = false;		//!< Should the total row count ignoring LIMIT be calculated
+	this._hints = [];					//!< List of modifiers such as STRAIGHT_JOIN
+	this._lock = null;					//!< Row locking mode and wait behavior
+	this._nest = false;					//!< Should result rows be nested by table, @see nest()
 }
 
 // Inherit/copy all of the methods from Query, and then fill in the ones we need to change
 SelectQuery.prototype.constructor = SelectQuery;
 _.extend(SelectQuery.prototype, {
+	/**
+	 * RETURNING only applies to queries that modify rows
+	 */
+	returning : not_supported,
+
 	/**
 	 * Select uses a special where option that allows things to be specified per join index
 	 * @param idx The joined table number. The first joined table is index 0
@@ -260,6 +1080,92 @@ _.extend(SelectQuery.prototype, {
 		return this;
 	},
 
+	/**
+	 * Accepts conditions for the HAVING clause, which are applied after grouping. These are
+	 * decoded in the same way as a where clause, but may also refer to aliased fields
+	 * @param idx Joined table index, optional, defaults to 0 (primary table)
+	 * @param where Key/value mapping, suitable for filter decoding, to be used for HAVING generation
+	 * @return Chainable this pointer
+	 */
+	having : function(idx, where) {
+		if (typeof idx != 'number') {
+			where = arguments[0];
+			idx = 0;
+		}
+		_.extend(this._tables[idx].having, where);
+		return this;
+	},
+
+	/**
+	 * Removes duplicate rows from the results with SELECT DISTINCT
+	 * @return Chainable this pointer
+	 */
+	distinct : function() {
+		this._distinct = true;
+		return this;
+	},
+
+	/**
+	 * Nests the values in each result row by table, as {u : {...}, p : {...}}, using each
+	 * table's alias, or its name if it has no alias, so that columns with the same name
+	 * in several tables don't collide. Fields that don't come from a table, such as unnamed
+	 * functions, are left at the top level of the row. The mysql driver does this itself with
+	 * its nestTables option; for other dialects, fields are named as alias.column in the
+	 * SELECT, so the fields of every table must be listed
+	 * @param enable Optional, defaults to true, pass false to return flat rows again
+	 * @return Chainable this pointer
+	 */
+	nest : function(enable) {
+		this._nest = (enable === undefined) ? true : !!enable;
+		return this;
+	},
+
+	/**
+	 * Adds SQL_CALC_FOUND_ROWS, so that FOUND_ROWS() will return the number of rows that would
+	 * have been returned without a LIMIT. This is only supported by MySQL
+	 * @return Chainable this pointer
+	 */
+	sql_calc_found_rows : function() {
+		this._calc_found_rows = true;
+		return this;
+	},
+
+	/**
+	 * Adds modifiers that are included verbatim after SELECT (and DISTINCT), such as
+	 * STRAIGHT_JOIN, HIGH_PRIORITY, or SQL_NO_CACHE. These are not checked or escaped
+	 * @param varargs list of modifiers, or one array of a list of modifiers
+	 * @return Chainable this pointer
+	 */
+	hint : function() {
+		for (var i = 0; i < arguments.length; ++i) {
+			if (_.isArray(arguments[i]))
+				Array.prototype.push.apply(this._hints, arguments[i]);
+			else
+				this._hints.push(arguments[i]);
+		}
+		return this;
+	},
+
+	/**
+	 * Locks the selected rows for updating, until the end of the transaction
+	 * @param wait Optional, either 'NOWAIT' or 'SKIP LOCKED', to avoid waiting for rows locked elsewhere
+	 * @return Chainable this pointer
+	 */
+	for_update : function(wait) {
+		this._lock = {mode : 'UPDATE', wait : wait};
+		return this;
+	},
+
+	/**
+	 * Locks the selected rows against updates by others, until the end of the transaction
+	 * @param wait Optional, either 'NOWAIT' or 'SKIP LOCKED', to avoid waiting for rows locked elsewhere
+	 * @return Chainable this pointer
+	 */
+	lock_in_share_mode : function(wait) {
+		this._lock = {mode : 'SHARE', wait : wait};
+		return this;
+	},
+
 	/**
 	 * Sets the alias for this table or a joined table
 	 * @deprecated, Use alias options in constructor and join calls
@@ -331,7 +1237,7 @@ _.extend(SelectQuery.prototype, {
 	 * @return Chainable this pointer
 	 */
 	inner_join : function(filter, alias) {
-		alias = alias || '';
+		alias = alias || filter.alias || '';
 		this._tables.push(new TableInfo(filter, {useName : true, alias : alias}, 'INNER'));
 		this._tables[0].options.useName = true;
 		return this;
@@ -344,7 +1250,7 @@ _.extend(SelectQuery.prototype, {
 	 * @return Chainable this pointer
 	 */
 	left_join : function(filter, alias) {
-		alias = alias || '';
+		alias = alias || filter.alias || '';
 		this._tables.push(new TableInfo(filter, {useName : true, alias : alias}, 'LEFT'));
 		this._tables[0].options.useName = true;
 		return this;
@@ -357,20 +1263,88 @@ _.extend(SelectQuery.prototype, {
 	 * @return Chainable this pointer
 	 */
 	right_join : function(filter, alias) {
-		alias = alias || '';
+		alias = alias || filter.alias || '';
 		this._tables.push(new TableInfo(filter, {useName : true, alias : alias}, 'RIGHT'));
 		this._tables[0].options.useName = true;
 		return this;
 	},
 
+	/**
+	 * Adds another table to this query as part of a full outer join. MySQL doesn't support these,
+	 * so they are emulated with the UNION of a left join and a right join
+	 * @param filter The filter representing the table to add
+	 * @param alias The alias for the joined table in the query, optional
+	 * @return Chainable this pointer
+	 */
+	full_join : function(filter, alias) {
+		alias = alias || filter.alias || '';
+		this._tables.push(new TableInfo(filter, {useName : true, alias : alias}, 'FULL OUTER'));
+		this._tables[0].options.useName = true;
+		return this;
+	},
+
+	/**
+	 * Adds another table to this query as part of a cross join, which has no ON clause
+	 * @param filter The filter representing the table to add
+	 * @param alias The alias for the joined table in the query, optional
+	 * @return Chainable this pointer
+	 */
+	cross_join : function(filter, alias) {
+		alias = alias || filter.alias || '';
+		this._tables.push(new TableInfo(filter, {useName : true, alias : alias}, 'CROSS'));
+		this._tables[0].options.useName = true;
+		return this;
+	},
+
+	/**
+	 * Adds another table to this query as part of a natural join, which joins on all of the
+	 * columns with the same names in both tables, and so has no ON clause
+	 * @param filter The filter representing the table to add
+	 * @param alias The alias for the joined table in the query, optional
+	 * @return Chainable this pointer
+	 */
+	natural_join : function(filter, alias) {
+		alias = alias || filter.alias || '';
+		this._tables.push(new TableInfo(filter, {useName : true, alias : alias}, 'NATURAL'));
+		this._tables[0].options.useName = true;
+		return this;
+	},
+
+	/**
+	 * Specifies the columns for a USING clause, which is used instead of ON to join on columns
+	 * that have the same name in both tables
+	 * @param join Integer join number to apply this to, optional. Defaults to the latest added.
+	 * @param varargs list of column names, or one array of a list of column names
+	 * @return Chainable this pointer
+	 */
+	using : function() {
+		var join = arguments[0];
+		var i = 1;
+
+		if (typeof join != 'number') {
+			join = this._tables.length - 1;
+			i = 0;
+		}
+
+		for (; i < arguments.length; ++i) {
+			if (_.isArray(arguments[i]))
+				Array.prototype.push.apply(this._tables[join].using, arguments[i]);
+			else
+				this._tables[join].using.push(arguments[i]);
+		}
+
+		return this;
+	},
+
 	/**
 	 * Specifies the ON condition for the join. Each argument is taken as a pair of conditions and
 	 * should be an object whose key indicates the numerical index of the table and whose value is the
 	 * field to be specified. For instance, on(['id', 'userId']) would specify one ON clause comparing
 	 * t0.id to t1.userId. Mutliple conditions can be chained with successive calls to on() or by passing
-	 * them as additional parameters
+	 * them as additional parameters. An argument may also be a where clause object, which is decoded by
+	 * the joined table's filter, e.g. on({deleted : 0}), to restrict the joined rows
 	 * @param join Integer join number to apply this on to, optional. Defaults to the latest added.
-	 * @param varargs, Each is an array of ON details
+	 * @param varargs, Each is an array of ON details, or a where clause object
 	 * @return Chainable this pointer
 	 */
 	on : function() {
@@ -442,6 +1416,27 @@ _.extend(SelectQuery.prototype, {
 		return '';
 	},
 
+	/**
+	 * Returns the having clause or an empty string if one isn't present. Field aliases
+	 * from every table may be used as keys, and are not prefixed with a table name. For
+	 * dialects that don't allow aliases in HAVING, their expressions are repeated instead
+	 * @return String the HAVING part of this select statement
+	 */
+	getHaving : function() {
+		var aliases = this.getFieldAliases();
+		var expand = this.getDialect().having_aliases ? undefined : this.getFieldExpressions();
+		var having = [];
+		this._tables.forEach(function(v) {
+			var h = v.filter.decode_filter(v.having, ' AND ', _.extend({}, v.options, {aliases : aliases, expand : expand}));
+			if (h.length > 0)
+				having.push(h);
+		});
+
+		if (having.length > 0)
+			return ' HAVING ' + having.join(' AND ');
+		return '';
+	},
+
 	/**
 	 * Returns the order by clause or an empty string if one isn't present
 	 * @return String the ORDER BY part of this select statement
@@ -475,17 +1470,79 @@ _.extend(SelectQuery.prototype, {
 		return '';
 	},
 
+	/**
+	 * Returns the modifiers that come between SELECT and the field list, with a trailing space
+	 * @return String the modifiers, empty if there are none
+	 * @throws QueryError if SQL_CALC_FOUND_ROWS was requested and the dialect doesn't support it
+	 */
+	getModifiers : function() {
+		var modifiers = [];
+
+		if (this._distinct)
+			modifiers.push('DISTINCT');
+		Array.prototype.push.apply(modifiers, this._hints);
+		if (this._calc_found_rows) {
+			if (!this.getDialect().calc_found_rows)
+				throw new db.QueryError('SQL_CALC_FOUND_ROWS is not supported by the ' + this.getDialect().name + ' dialect');
+			modifiers.push('SQL_CALC_FOUND_ROWS');
+		}
+
+		if (modifiers.length > 0)
+			return modifiers.join(' ') + ' ';
+		return '';
+	},
+
+	/**
+	 * Returns the row locking clause, if one was requested. Leaving out the lock or its wait
+	 * option would change how the query behaves with concurrent transactions, so the query
+	 * is refused instead
+	 * @return String the locking clause, empty if there isn't one
+	 * @throws QueryError if the dialect doesn't support row locks, or the wait option is unknown
+	 */
+	getLock : function() {
+		var dialect = this.getDialect();
+		var wait;
+
+		if (this._lock === null)
+			return '';
+
+		if (!dialect.row_locks)
+			throw new db.QueryError('Row locking is not supported by the ' + dialect.name + ' dialect');
+
+		if (this._lock.wait !== undefined) {
+			wait = (this._lock.wait + '').toUpperCase().replace('_', ' ');
+			if (wait != 'NOWAIT' && wait != 'SKIP LOCKED')
+				throw new db.QueryError('Unknown row lock wait option ' + this._lock.wait);
+		}
+
+		return dialect.lock(this._lock.mode, wait);
+	},
+
 	/**
 	 * Returns the fields, or * if no fields were specified for one table. Also supports
-	 * renaming fields if they are passed as an array
+	 * renaming fields if they are passed as an array. An empty array selects no fields from
+	 * the table, which is useful for tables that are only joined to filter the results
 	 * @param table A TableInfo instance that describes the table to get fields for
 	 * @return String the fields
+	 * @throws QueryError if rows are nested and a table's fields aren't listed, where the driver can't nest them
 	 */
 	getTableFields : function(table) {
-		if (table.fields.length > 0) {
-			return table.fields.map(function(v) {
+		var dialect = this.getDialect();
+		var prefix = (this._nest && !dialect.nest_tables) ? this.getTableKey(table) + '.' : null;
+		var fields = table.fields;
+
+		// Nested rows need every field named, so that it can be assigned to its table
+		if (prefix && (fields.length == 0 || fields.indexOf('*') >= 0))
+			throw new db.QueryError('nest() requires the fields of every table to be listed for the ' + dialect.name + ' dialect');
+
+		if (fields.length > 0) {
+			return fields.filter(function(v) {
+				return !_.isArray(v) || v.length > 0;
+			}).map(function(v) {
 				if (_.isArray(v))
-					return table.filter.escapeKey(v[0], table.options) + ' AS ' + v[1];
+					return table.filter.escapeKey(v[0], table.options) + ' AS ' + (prefix ? dialect.escapeAlias(prefix + v[1]) : v[1]);
+				else if (prefix && _.isString(v))
+					return table.filter.escapeKey(v, table.options) + ' AS ' + dialect.escapeAlias(prefix + v);
 				return table.filter.escapeKey(v, table.options);
 			}).join(', ');
 		}
@@ -493,6 +1550,77 @@ _.extend(SelectQuery.prototype, {
 		return table.filter.escapeKey('*', table.options);
 	},
 
+	/**
+	 * Retrieves the name that a table's values are nested under in result rows
+	 * @param table A TableInfo instance
+	 * @return String the table's alias, or its name if it has no alias
+	 */
+	getTableKey : function(table) {
+		return table.options.alias || table.filter.table;
+	},
+
+	/**
+	 * Asks the driver to nest the rows by table, if it can, @see nest()
+	 * @see Query.getDriverOptions()
+	 */
+	getDriverOptions : function() {
+		if (this._nest && this.getDialect().nest_tables)
+			return _.extend({}, this._options, {nestTables : true});
+		return this._options;
+	},
+
+	/**
+	 * Fields come from each table in order, as they are listed in the SELECT
+	 * @see Query.getRowColumns()
+	 */
+	getRowColumns : function() {
+		return _.reduce(this._tables, add_row_columns, {});
+	},
+
+	/**
+	 * Fields come from each table in order, as they are listed in the SELECT
+	 * @see Query.getOutputs()
+	 */
+	getOutputs : function() {
+		return _.flatten(this._tables.map(get_table_outputs), true);
+	},
+
+	/**
+	 * Returns the aliases given to fields in all tables, which can be referenced by name
+	 * in clauses that are evaluated after the fields, such as HAVING
+	 * @return Array of alias names
+	 */
+	getFieldAliases : function() {
+		var aliases = [];
+		this._tables.forEach(function(t) {
+			t.fields.forEach(function(v) {
+				if (_.isArray(v))
+					aliases.push(v[1]);
+			});
+		});
+		return aliases;
+	},
+
+	/**
+	 * Returns functions that build the expressions of the fields that were given aliases, so
+	 * that the expression can be used where the dialect doesn't allow the alias. Each is
+	 * built where it is used, so that its parameters are collected in the right order
+	 * @return Object mapping alias names to functions returning the SQL for their expressions
+	 */
+	getFieldExpressions : function() {
+		var expressions = {};
+		this._tables.forEach(function(t) {
+			t.fields.forEach(function(v) {
+				if (_.isArray(v) && v.length > 0) {
+					expressions[v[1]] = function() {
+						return '(' + t.filter.escapeKey(v[0], t.options) + ')';
+					};
+				}
+			});
+		});
+		return expressions;
+	},
+
 	/**
 	 * Returns the fields used for this query. Combines field selections from all tables
 	 * that are joined together, retrieving fields for each one. If we're not doing a join,
@@ -500,28 +1628,58 @@ _.extend(SelectQuery.prototype, {
 	 * @return Complete fields listing for this query
 	 */
 	getFields : function() {
-		return this._tables.map(this.getTableFields, this).join(', ');
+		return this._tables.map(this.getTableFields, this).filter(function(v) {
+			return v.length > 0;
+		}).join(', ');
 	},
 
 	/**
 	 * Retrieves the ON clause that comes up in a join expression
+	 * @param on The list of ON clause entries for the join
 	 * @param tables The names of the tables indexed in the proper order for inclusion
+	 * @param table The TableInfo for the joined table, which decodes where clause entries
 	 * @return String the ON clause, empty if there isn't a join happening
 	 */
-	getOnClause : function(on, tables) {
+	getOnClause : function(on, tables, table) {
+		var dialect = this.getDialect();
+
 		if (on.length > 0) {
 			// Probably the most functional-ish piece of code I've ever written
 			// Map each _on entry to ... and separated by a ,
-			return ' ON ' + on.map(function(v) {
+			var terms = on.map(function(v) {
+				// a where clause for the joined table, or
+				if (!is_on_shorthand(v))
+					return table.filter.decode_filter(v, ' AND ', table.options);
+
 				// its values mapped to ... and separated by an =
 				return _.map(v, function(v, k) {
 					// the table name for the key and the escaped identifier
-					return mysql.escapeId(tables[k]) + '.' + mysql.escapeId(v);
+					return dialect.escapeId(tables[k]) + '.' + dialect.escapeId(v);
 				}).join(' = ');
-			}).join(' AND ');
+			}).filter(function(v) {
+				return v.length > 0;
+			});
+
+			// I.e. this turns [['id', 'userId'], {0:'id', 2:'adminId'}, {deleted : 0}] into
+			// ON t0.`id` = t1.`userId` AND t0.`id` = t2.`adminId` AND t2.`deleted` = 0
+			if (terms.length > 0)
+				return ' ON ' + terms.join(' AND ');
+		}
+		return '';
+	},
+
+	/**
+	 * Retrieves the USING clause for a join
+	 * @param using The list of column names
+	 * @return String the USING clause, empty if there are no columns
+	 */
+	getUsingClause : function(using) {
+		var dialect = this.getDialect();
 
-			// I.e. this turns [['id', 'userId'], {0:'id', 2:'adminId'}] into
-			// ON t0.`id` = t1.`userId`, t0.`id` = t2.`adminId`
+		if (using.length > 0) {
+			return ' USING (' + using.map(function(v) {
+				return dialect.escapeId(v);
+			}).join(', ') + ')';
 		}
 		return '';
 	},
@@ -530,35 +1688,307 @@ _.extend(SelectQuery.prototype, {
 	 * Returns the table name portion of the select statement, which will either be
 	 * just the one table, or expand to include all the proper subclauses for the
 	 * join statement
+	 * @param full The join type to substitute for full outer joins when emulating them, optional
 	 * @return String table name portion of query
+	 * @throws QueryError if a derived table has no alias, which every database requires
 	 */
-	getTableNameClause : function() {
+	getTableNameClause : function(full) {
 		// Need a list of all table names before going into join clause generation
 		var tableNames = this._tables.map(function(v, k) {
 			return this.getTableAlias(k);
 		}, this);
 
-		// Combine table names, join parameters, and on clauses
+		// Combine table names, join parameters, and on clauses. CTE names are escaped as they are in the WITH clause
+		var dialect = this.getDialect();
 		return this._tables.map(function(v) {
-			var name = v.filter.table + (v.options.alias.length > 0 ? ' AS ' + v.options.alias : '');
-			if (v.type.length > 0)
-				name = v.type + ' JOIN ' + name + this.getOnClause(v.on, tableNames);
+			if (v.subquery && v.options.alias.length == 0)
+				throw new db.QueryError('Selecting from a subquery requires an alias for it');
+
+			var table = v.subquery ? v.subquery.getSubquery(v.options) : (v.filter.cte ? dialect.escapeId(v.filter.table) : dialect.escapeTable(v.filter.table));
+			var name = table + (v.options.alias.length > 0 ? ' AS ' + dialect.escapeTable(v.options.alias) : '');
+			if (v.type.length > 0) {
+				var type = (full && v.type == 'FULL OUTER') ? full : v.type;
+				if (v.using.length > 0)
+					name = type + ' JOIN ' + name + this.getUsingClause(v.using);
+				else
+					name = type + ' JOIN ' + name + this.getOnClause(v.on, tableNames, v);
+			}
 			return name;
 		}, this).join(' ');
 	},
 	
 	/**
 	 * Builds the final query that is sent to SQL
-	 * @return String SQL query
+	 * @param options Optional build options, {parameterized : true} produces placeholders
+	 * @return String SQL query, or object with sql and values if parameterized
+	 */
+	buildQuery : function(options) {
+		return this.parameterize(options, function() {
+			return this.getWith() + this.getStatement();
+		});
+	},
+
+	/**
+	 * Builds the statement without the WITH clause, which is how it is included in a
+	 * compound query or common table expression
+	 * @return String SQL statement
+	 */
+	getStatement : function() {
+		if (this.emulateFullJoin()) {
+			this.checkFullJoinEmulation();
+			return this.getSelect('LEFT') + ' UNION ALL ' + this.getSelect('RIGHT', this.getFullJoinExclusion())
+				+ this.getUnionOrderBy() + this.getLimit();
+		}
+		return this.getSelect() + this.getOrderBy() + this.getLimit() + this.getLock();
+	},
+
+	/**
+	 * Checks if this query has a full outer join that the dialect doesn't support. In that case,
+	 * the query is built twice, with a left and a right join, and the results are combined with
+	 * UNION ALL, which ORDER BY and LIMIT then apply to. The right join only keeps the rows
+	 * that had no match, because the others were already returned by the left join
+	 * @return bool True if the full outer join must be emulated
+	 */
+	emulateFullJoin : function() {
+		if (this.getDialect().full_join)
+			return false;
+		return _.some(this._tables, function(v) {
+			return v.type == 'FULL OUTER';
+		});
+	},
+
+	/**
+	 * Checks that the query can be split into the two halves of an emulated full outer join.
+	 * Each row is returned by exactly one half, so anything that combines or compares rows,
+	 * such as grouping, aggregates, or DISTINCT, would only see part of the results
+	 * @throws QueryError if the query uses locks, DISTINCT, GROUP BY, HAVING, or aggregate fields
+	 */
+	checkFullJoinEmulation : function() {
+		if (this._lock !== null)
+			throw new db.QueryError('Row locking is not supported for an emulated FULL OUTER JOIN');
+		if (this._distinct)
+			throw new db.QueryError('DISTINCT is not supported for an emulated FULL OUTER JOIN');
+
+		_.each(this._tables, function(v) {
+			if (v.group.length > 0 || _.keys(v.having).length > 0)
+				throw new db.QueryError('GROUP BY and HAVING are not supported for an emulated FULL OUTER JOIN');
+			if (_.some(v.fields, is_aggregate))
+				throw new db.QueryError('Aggregate and window functions are not supported for an emulated FULL OUTER JOIN');
+		});
+	},
+
+	/**
+	 * Retrieves the condition that keeps the right join of an emulated full outer join to the
+	 * rows without a match. The column of the other table that the full join compares is NULL
+	 * exactly when there was no match, because a NULL can't satisfy the join condition
+	 * @return String verbatim condition
+	 * @throws QueryError if there isn't exactly one full outer join, or it doesn't compare a column of another table
+	 */
+	getFullJoinExclusion : function() {
+		var dialect = this.getDialect();
+		var full = [];
+
+		this._tables.forEach(function(v, i) {
+			if (v.type == 'FULL OUTER')
+				full.push(i);
+		});
+		if (full.length != 1)
+			throw new db.QueryError('Only one FULL OUTER JOIN can be emulated for the ' + dialect.name + ' dialect');
+
+		var idx = full[0];
+		var table = this._tables[idx];
+		var other, column;
+
+		if (table.using.length > 0) {
+			other = idx - 1;
+			column = table.using[0];
+		}
+		else {
+			_.find(table.on, function(v) {
+				if (!is_on_shorthand(v) || v[idx] === undefined)
+					return false;
+				other = _.find(_.keys(v), function(k) { return k != idx; });
+				column = v[other];
+				return other !== undefined;
+			});
+		}
+
+		if (column === undefined)
+			throw new db.QueryError('An emulated FULL OUTER JOIN must compare a column of another table, with on() or using()');
+		return dialect.escapeId(this.getTableAlias(other)) + '.' + dialect.escapeId(column) + ' IS NULL';
+	},
+
+	/**
+	 * Retrieves the ORDER BY clause for an emulated full outer join, which applies to the results
+	 * of the UNION, so each field is referred to by its name in the results. Fields given as
+	 * strings must match exactly one field that is selected, by column or by name
+	 * @return String the ORDER BY clause
+	 * @throws QueryError if a field isn't selected, or its name in the results isn't unique
+	 */
+	getUnionOrderBy : function() {
+		var dialect = this.getDialect();
+		var outputs = this._tables.map(get_outputs);
+		var names = _.pluck(_.flatten(outputs, true), 'name');
+
+		var resolve = function(field, idx) {
+			var output = _.findWhere(outputs[idx], {column : field});
+			var name = output ? output.name : field;
+
+			if (_.filter(names, function(v) { return v == name; }).length != 1)
+				throw new db.QueryError('Ordering by ' + field + ' needs exactly one selected field with that name, for an emulated FULL OUTER JOIN');
+			return dialect.escapeId(name);
+		};
+
+		var order = [];
+		this._tables.forEach(function(v, i) {
+			var options = _.extend({}, v.options, {useName : false});
+			v.order.forEach(function(o) {
+				if (_.isString(o))
+					order.push(resolve(o, i));
+				else if (o instanceof op.OrderFunction && _.isString(o.field))
+					order.push(resolve(o.field, i) + ' ' + o.fn);
+				else
+					order.push(v.filter.escapeKey(o, options));
+			});
+		});
+
+		if (order.length > 0)
+			return ' ORDER BY ' + order.join(', ');
+		return '';
+	},
+
+	/**
+	 * Builds the SELECT statement up to the HAVING clause, which is the part that is repeated
+	 * when a full outer join is emulated
+	 * @param full The join type to substitute for full outer joins, optional
+	 * @param exclude Condition added to the WHERE clause, optional
+	 * @return String partial SQL query
 	 */
-	buildQuery : function() {
-		return 'SELECT ' + this.getFields() + ' FROM ' + this.getTableNameClause() + this.getWhere() + this.getGroupBy() + this.getOrderBy() + this.getLimit();
+	getSelect : function(full, exclude) {
+		// Parts are built in order, so that parameters are collected in the order they appear
+		var sql = 'SELECT ' + this.getModifiers() + this.getFields() + ' FROM ' + this.getTableNameClause(full);
+		var where = this.getWhere();
+
+		if (exclude)
+			where += (where.length > 0 ? ' AND ' : ' WHERE ') + exclude;
+		return sql + where + this.getGroupBy() + this.getHaving();
 	}
 	
 });
 
+/**
+ * CompoundQuery combines the results of several SELECT queries with UNION, UNION ALL,
+ * INTERSECT, or EXCEPT. It is executed using the filter of the first query
+ * @param type The set operation used to combine the queries
+ * @param queries Array of SelectQuery (or CompoundQuery) objects to combine
+ */
+CompoundQuery.prototype = new Query();
+function CompoundQuery(type, queries) {
+	if (queries.length == 0)
+		throw new db.QueryError(type + ' requires at least one query to combine');
+
+	Query.call(this, queries[0]._tables[0].filter);
+	this._type = type;					//!< The set operation, such as UNION
+	this._queries = queries;			//!< List of the queries whose results are combined
+}
+
+CompoundQuery.prototype.constructor = CompoundQuery;
+_.extend(CompoundQuery.prototype, {
+	/**
+	 * These apply to the individual queries, not the combined result
+	 */
+	where : not_supported,
+	returning : not_supported,
+
+	/**
+	 * Ordering applies to the columns of the combined result, so fields are never prefixed
+	 * @see SelectQuery.order()
+	 */
+	order : SelectQuery.prototype.order,
+	getOrderBy : SelectQuery.prototype.getOrderBy,
+
+	/**
+	 * The combined rows have the fields of the first query
+	 * @see Query.getRowColumns()
+	 */
+	getRowColumns : function() {
+		return this._queries[0].getRowColumns();
+	},
+
+	/**
+	 * The combined rows have the fields of the first query
+	 * @see Query.getOutputs()
+	 */
+	getOutputs : function() {
+		return this._queries[0].getOutputs();
+	},
+
+	/**
+	 * Builds one of the combined queries. Queries that have their own ORDER BY or LIMIT, or
+	 * are compound themselves, must be wrapped in parentheses, or in a subquery for dialects
+	 * that don't allow parentheses there. Their CTEs are included in the WITH clause for the
+	 * whole query
+	 * @param query The query to build
+	 * @return String SQL for the query
+	 */
+	getPart : function(query) {
+		var params = this._tables[0].options.params;
+		var sql = params ? query.withParams(params, query.getStatement) : query.getStatement();
+
+		if (query instanceof CompoundQuery || query._limit.length > 0 || _.some(query._tables, function(t) { return t.order.length > 0; })) {
+			if (this.getDialect().compound_parens)
+				return '(' + sql + ')';
+			return 'SELECT * FROM (' + sql + ')';
+		}
+		return sql;
+	},
+
+	/**
+	 * Builds the final query that is sent to SQL
+	 * @param options Optional build options, {parameterized : true} produces placeholders
+	 * @return String SQL query, or object with sql and values if parameterized
+	 */
+	buildQuery : function(options) {
+		return this.parameterize(options, function() {
+			return this.getWith() + this.getStatement();
+		});
+	},
+
+	/**
+	 * Builds the statement without the WITH clause
+	 * @see SelectQuery.getStatement()
+	 * @throws QueryError if this is an INTERSECT or EXCEPT and the dialect doesn't support them
+	 */
+	getStatement : function() {
+		var dialect = this.getDialect();
+		if ((this._type == 'INTERSECT' || this._type == 'EXCEPT') && !dialect.intersect)
+			throw new db.QueryError(this._type + ' is not supported by the ' + dialect.name + ' dialect');
+
+		return this._queries.map(this.getPart, this).join(' ' + this._type + ' ') + this.getOrderBy() + this.getLimit();
+	},
+
+	/**
+	 * Collects the common table expressions used by any of the combined queries
+	 * @see Query.getCTEs()
+	 */
+	getCTEs : function(list, visiting) {
+		this._queries.forEach(function(q) {
+			q.getCTEs(list, visiting);
+		});
+		return list;
+	}
+});
+
+// Joins, aliases, ordering, and multi-table where clauses work the same way for UPDATE and DELETE
+['where', 'alias', 'order', 'inner_join', 'left_join', 'right_join', 'cross_join', 'on', 'using',
+ 'getWhere', 'getOrderBy', 'getTableAlias', 'getOnClause', 'getUsingClause', 'getTableNameClause'].forEach(function(name) {
+	UpdateQuery.prototype[name] = SelectQuery.prototype[name];
+	DeleteQuery.prototype[name] = SelectQuery.prototype[name];
+});
+
 // Export the concrete query class definitions
 module.exports.SelectQuery = SelectQuery;
+module.exports.CompoundQuery = CompoundQuery;
 module.exports.InsertQuery = InsertQuery;
 module.exports.UpdateQuery = UpdateQuery;
 module.exports.DeleteQuery = DeleteQuery;
@@ -0,0 +1,95 @@
+/**
+ * Tests for common table expressions
+ */
+
+var db = require('../lib-cov/db-filters');
+
+var users = new db('users', {
+	id : db.int_t,
+	user : [db.varchar_t, 32],
+	status : db.int_t
+}, {});
+
+var categories = new db('categories', {
+	id : db.int_t,
+	parentId : db.int_t,
+	name : [db.varchar_t, 64]
+}, {});
+
+exports = {};
+
+exports['with'] = function(test) {
+	var active = db.with('active', users.select({status : 1}).fields('id', 'user'));
+	var sql = active.select({id : db.$gt(5)}).order('user').buildQuery();
+	test.equals(sql, 'WITH `active` AS (SELECT `id`, `user` FROM users WHERE `status` = 1) SELECT * FROM `active` WHERE `id` > 5 ORDER BY `user`');
+
+	sql = users.select({}, 'u').fields('id').inner_join(active.as('a')).on(['id', 'id']).fields(1, 'user').buildQuery();
+	test.equals(sql, 'WITH `active` AS (SELECT `id`, `user` FROM users WHERE `status` = 1) SELECT `u`.`id`, `a`.`user` FROM users AS u INNER JOIN `active` AS a ON `u`.`id` = `a`.`id`');
+
+	var names = db.with('names', active.select().fields('user'), ['name']);
+	sql = names.select().buildQuery();
+	test.equals(sql, 'WITH `active` AS (SELECT `id`, `user` FROM users WHERE `status` = 1), `names` (`name`) AS (SELECT `user` FROM `active`) SELECT * FROM `names`');
+
+	test.done();
+};
+
+exports['recursive'] = function(test) {
+	var tree = db.with_recursive('tree', function(tree) {
+		return db.union_all(
+			categories.select({id : 3}).fields('id', 'parentId', 'name'),
+			categories.select({}, 'c').fields('id', 'parentId', 'name').inner_join(tree, 't').on(['parentId', 'id']).fields(1, []));
+	});
+	var sql = tree.select({name : db.$like('a%')}).buildQuery();
+	test.equals(sql, 'WITH RECURSIVE `tree` AS (SELECT `id`, `parentId`, `name` FROM categories WHERE `id` = 3 UNION ALL '
+					+ 'SELECT `c`.`id`, `c`.`parentId`, `c`.`name` FROM categories AS c INNER JOIN `tree` AS t ON `c`.`parentId` = `t`.`id`) '
+					+ 'SELECT * FROM `tree` WHERE `name` LIKE \'a%\'');
+
+	test.done();
+};
+
+exports['columns'] = function(test) {
+	var active = db.with('active', users.select({status : 1}).fields('id', 'user'));
+	var names = db.with('names', active.select().fields('user'), ['name']);
+	var totals = db.with('totals', users.select().fields('status', [db.$count('*'), 'total']).group('status'));
+
+	// Columns are the selected fields, or the names given for them, with the types they come from
+	test.deepEqual(Object.keys(active.c), ['id', 'user']);
+	test.deepEqual(Object.keys(names.c), ['name']);
+	test.deepEqual(names.columns, {name : [db.varchar_t, 32]});
+	test.deepEqual(totals.columns, {status : db.int_t, total : db.text_t});
+
+	var sql = names.clone().set_strict(true).select({name : 'x'}).fields(names.c.name).buildQuery();
+	test.equals(sql, 'WITH `active` AS (SELECT `id`, `user` FROM users WHERE `status` = 1), `names` (`name`) AS (SELECT `user` FROM `active`) SELECT `name` FROM `names` WHERE `name` = \'x\'');
+	sql = totals.clone().set_strict(true).select({total : db.$gt(2)}).buildQuery();
+	test.equals(sql, 'WITH `totals` AS (SELECT `status`, COUNT(*) AS total FROM users GROUP BY `status`) SELECT * FROM `totals` WHERE `total` > 2');
+
+	// Recursive queries can refer to the CTE's own fields when the column names are given
+	var tree = db.with_recursive('tree', function(tree) {
+		test.ok(tree.c.depth !== undefined);
+		return db.union_all(
+			categories.select({id : 3}).fields('id', [db.$raw('0'), 'depth']),
+			categories.select({}, 'c').fields('id').inner_join(tree, 't').on(['parentId', 'id']).fields(1, [db.$add(tree.c.depth, 1), 'depth']));
+	}, ['id', 'depth']);
+	test.deepEqual(tree.columns, {id : db.int_t, depth : db.text_t});
+	sql = tree.select({depth : db.$lt(3)}).buildQuery();
+	test.equals(sql, 'WITH RECURSIVE `tree` (`id`, `depth`) AS (SELECT `id`, 0 AS depth FROM categories WHERE `id` = 3 UNION ALL '
+					+ 'SELECT `c`.`id`, `t`.`depth` + 1 AS depth FROM categories AS c INNER JOIN `tree` AS t ON `c`.`parentId` = `t`.`id`) '
+					+ 'SELECT * FROM `tree` WHERE `depth` < 3');
+
+	test.done();
+};
+
+exports['parameterized'] = function(test) {
+	var active = db.with('active', users.select({status : 1}));
+	var query = active.select({user : 'bob'}).limit(2).toSQL();
+	test.equals(query.sql, 'WITH `active` AS (SELECT * FROM users WHERE `status` = ?) SELECT * FROM `active` WHERE `user` = ? LIMIT ?');
+	test.deepEqual(query.values, [1, 'bob', 2]);
+
+	// Names are escaped for the dialect, so they may be reserved words
+	var order = db.with('order', users.clone().set_dialect('postgres').select({status : 2}));
+	test.equals(order.select().buildQuery(), 'WITH "order" AS (SELECT * FROM "users" WHERE "status" = 2) SELECT * FROM "order"');
+
+	test.done();
+};
+
+module.exports = exports;
@@ -40,4 +40,30 @@ exports['limit'] = function(test) {
 	test.done();
 };
 
+exports['join'] = function(test) {
+	var posts = new db('posts', {id : db.int_t, userId : db.int_t}, {});
+	var sql = users.delete({registered : db.$lt(db.$now())}).alias('u').left_join(posts, 'p').on(['id', 'userId']).where(1, {id : db.$gt(100)}).buildQuery();
+	test.equals(sql, 'DELETE u FROM users AS u LEFT JOIN posts AS p ON `u`.`id` = `p`.`userId` WHERE `u`.`registered` < NOW() AND `p`.`id` > 100');
+
+	// Multiple-table deletes allow neither ORDER BY nor LIMIT
+	var query = users.delete({}).left_join(posts).on(['id', 'userId']);
+	test.throws(function() { query.order('id').buildQuery(); }, db.QueryError);
+	query = users.delete({}).left_join(posts).on(['id', 'userId']).limit(5);
+	test.throws(function() { query.buildQuery(); }, db.QueryError);
+
+	// PostgreSQL and SQLite don't support joins here at all
+	var pg_posts = posts.clone().set_dialect('postgres');
+	query = users.clone().set_dialect('postgres').delete({}).inner_join(pg_posts).on(['id', 'userId']);
+	test.throws(function() { query.buildQuery(); }, db.QueryError);
+
+	test.done();
+};
+
+exports['order'] = function(test) {
+	var sql = users.delete({id : db.$gt(10)}).order('registered').limit(50).buildQuery();
+	test.equals(sql, 'DELETE FROM users WHERE `id` > 10 ORDER BY `registered` LIMIT 50');
+
+	test.done();
+};
+
 module.exports = exports;
@@ -0,0 +1,197 @@
+/**
+ * Tests for query execution, using a fake connection that records queries
+ */
+
+var db = require('../lib-cov/db-filters');
+
+var users = new db('users', {
+	id : db.int_t,
+	user : [db.varchar_t, 32]
+}, {});
+
+/**
+ * Creates a connection that answers every query with the given error or rows
+ */
+function fake_conn(err, rows) {
+	return {
+		queries : [],
+		query : function(query, cb) {
+			this.queries.push(query);
+			cb(err, rows);
+		}
+	};
+}
+
+exports = {};
+
+exports['callbacks'] = function(test) {
+	var conn = fake_conn(null, [{id : 1}]);
+	users.set_conn(conn);
+
+	var result = users.select({id : 1}).exec(function(rows) {
+		test.deepEqual(rows, [{id : 1}]);
+		test.equals(conn.queries[0].sql, 'SELECT * FROM users WHERE `id` = 1');
+	}, function(err) {
+		test.ok(false, 'Failure callback should not be called');
+	});
+
+	test.strictEqual(result, undefined);
+	test.done();
+};
+
+exports['promise'] = function(test) {
+	users.set_conn(fake_conn(null, [{id : 2}]));
+
+	users.select({id : 2}).exec().then(function(rows) {
+		test.deepEqual(rows, [{id : 2}]);
+		test.done();
+	});
+};
+
+exports['custom types'] = function(test) {
+	var cents = db.define_type('cents', {
+		fromDB : function(v) { return v / 100; }
+	});
+	var orders = new db('orders', {id : db.int_t, total : cents}, {});
+	orders.set_conn(fake_conn(null, [{id : 1, total : 250, user : 'bob'}]));
+
+	orders.select({}, 'o').left_join(users, 'u').exec().then(function(rows) {
+		test.deepEqual(rows, [{id : 1, total : 2.5, user : 'bob'}]);
+		test.done();
+	});
+};
+
+exports['decoding'] = function(test) {
+	var items = new db('items', {
+		id : db.bigint_t,
+		active : db.bool_t,
+		meta : db.json_t,
+		tags : [db.set_t, ['a', 'b']],
+		added : db.datetime_t
+	}, {});
+	var row = function() {
+		return {id : 42, active : 0, meta : '{"a":1}', tags : 'a,b', added : '2013-01-05 10:20:30', other : '1'};
+	};
+	items.set_conn(fake_conn(null, [row()]));
+
+	// Rows are left as the driver returned them unless decoding is enabled
+	items.select({}).exec().then(function(rows) {
+		test.deepEqual(rows, [row()]);
+		return items.set_decode(true).select({});
+	}).then(function(rows) {
+		test.deepEqual(rows, [{id : '42', active : false, meta : {a : 1}, tags : ['a', 'b'],
+			added : new Date(2013, 0, 5, 10, 20, 30), other : '1'}]);
+
+		// Colliding names in a flat row are decoded for the last table that has them, whose value the driver keeps
+		var flags = new db('flags', {id : db.int_t, active : db.int_t}, {}).set_decode(true);
+		var query = flags.select({}, 'f').left_join(items, 'i').fields(1, 'active');
+		test.deepEqual(query.decodeRows([{id : 1, active : 0}]), [{id : 1, active : false}]);
+		query = items.select({}, 'i').fields('active').left_join(flags, 'f').fields(1, ['active', 'flag']);
+		test.deepEqual(query.decodeRows([{active : 1, flag : '5'}]), [{active : true, flag : 5}]);
+		test.done();
+	});
+};
+
+exports['models'] = function(test) {
+	function User(row) {
+		this.id = row.id;
+		this.name = row.user;
+	}
+
+	var posts = new db('posts', {id : db.int_t, userId : db.int_t}, {});
+	var models = users.clone().set_model(User);
+	var conn = fake_conn(null, [{u : {id : 1, user : 'bob', email : 'b@example.com'}, p : {id : 5, userId : 1, title : 'hi'}, '' : {'COUNT(*)' : 3}}]);
+	models.set_conn(conn);
+
+	// The mysql driver nests the rows itself, including columns that aren't declared
+	models.select({}, 'u').left_join(posts, 'p').nest().exec().then(function(rows) {
+		test.ok(conn.queries[0].nestTables);
+		test.ok(rows[0].u instanceof User);
+		test.deepEqual(rows, [{u : {id : 1, name : 'bob'}, p : {id : 5, userId : 1, title : 'hi'}, 'COUNT(*)' : 3}]);
+
+		models.set_conn(fake_conn(null, [{id : 2, user : 'alice'}]));
+		return models.select({id : 2});
+	}).then(function(rows) {
+		test.ok(rows[0] instanceof User);
+		test.equals(rows[0].name, 'alice');
+		test.done();
+	});
+};
+
+exports['promise failure'] = function(test) {
+	users.set_conn(fake_conn(new Error('failed'), null));
+
+	users.select({id : 2}).exec().then(function() {
+		test.ok(false, 'Promise should not resolve');
+		test.done();
+	}, function(err) {
+		test.equals(err.message, 'failed');
+		test.equals(err.query.sql, 'SELECT * FROM users WHERE `id` = 2');
+		test.done();
+	});
+};
+
+exports['thenable'] = function(test) {
+	var conn = fake_conn(null, {affectedRows : 1});
+	users.set_conn(conn);
+
+	Promise.resolve().then(function() {
+		return users.update({user : 'greg'}, {id : 1});
+	}).then(function(result) {
+		test.equals(result.affectedRows, 1);
+		test.equals(conn.queries[0].sql, 'UPDATE users SET `user` = \'greg\' WHERE `id` = 1');
+		return users.query('SELECT 1');
+	}).then(function(result) {
+		test.equals(conn.queries[1], 'SELECT 1');
+		test.done();
+	});
+};
+
+exports['pool'] = function(test) {
+	var conn = fake_conn(null, [{id : 3}]);
+	var pool = {
+		acquired : 0,
+		released : 0,
+		getConnection : function(cb) {
+			this.acquired += 1;
+			conn.release = function() { pool.released += 1; };
+			cb(null, conn);
+		}
+	};
+
+	var filter = new db('users', {id : db.int_t}, {});
+	filter.set_conn(pool);
+	var clone = filter.clone();
+
+	clone.select({id : 3}).exec().then(function(rows) {
+		test.deepEqual(rows, [{id : 3}]);
+		test.equals(pool.acquired, 1);
+		test.equals(pool.released, 1);
+
+		return db.transaction(pool, {users : filter}, function(tx) {
+			return tx.users.delete({id : 3}).then(function() {
+				return tx.users.delete({id : 4});
+			});
+		});
+	}).then(function() {
+		test.equals(pool.acquired, 2);
+		test.equals(pool.released, 2);
+		test.deepEqual(conn.queries.slice(1).map(function(q) { return q.sql || q; }), [
+			'START TRANSACTION',
+			'DELETE FROM users WHERE `id` = 3',
+			'DELETE FROM users WHERE `id` = 4',
+			'COMMIT']);
+		test.done();
+	});
+};
+
+exports['no connection'] = function(test) {
+	var filter = new db('users', {id : db.int_t}, {});
+
+	filter.select().exec().catch(function(err) {
+		test.equals(err.message, 'No connection or pool has been set for users');
+		test.done();
+	});
+};
+
+module.exports = exports;
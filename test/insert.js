@@ -26,4 +26,84 @@ exports['simple'] = function(test) {
 	test.done();
 };
 
+exports['multiple'] = function(test) {
+	var sql = users.insert([
+		{id : '5', user : 'greg', registered : db.$now()},
+		{id : 6, user : 'bob', salt : 'abcdefghijk'},
+		{user : 'alice', salt_pw : 'password'}
+	]).buildQuery();
+	test.equals(sql, 'INSERT INTO users (`id`, `user`, `registered`, `salt`, `password`) VALUES ' +
+		'(5, \'greg\', NOW(), DEFAULT, DEFAULT), ' +
+		'(6, \'bob\', DEFAULT, \'abcdefgh\', DEFAULT), ' +
+		'(DEFAULT, \'alice\', DEFAULT, DEFAULT, MD5(CONCAT(`salt`, \'password\')))');
+
+	test.done();
+};
+
+exports['chunked'] = function(test) {
+	var rows = [{id : 1}, {id : 2}, {id : 3}];
+
+	var sql = users.insert(rows).chunk(2).buildQueries();
+	test.deepEqual(sql, [
+		'INSERT INTO users (`id`) VALUES (1), (2)',
+		'INSERT INTO users (`id`) VALUES (3)']);
+
+	sql = users.insert(rows).chunk(10, 41).buildQueries();
+	test.deepEqual(sql, [
+		'INSERT INTO users (`id`) VALUES (1), (2)',
+		'INSERT INTO users (`id`) VALUES (3)']);
+
+	test.done();
+};
+
+exports['parameterized'] = function(test) {
+	var query = users.insert({user : 'greg', password : db.$md5('test')}).on_duplicate().toSQL();
+	test.equals(query.sql, 'INSERT INTO users SET `user` = ?, `password` = MD5(?) ON DUPLICATE KEY UPDATE `user` = VALUES(`user`), `password` = VALUES(`password`)');
+	test.deepEqual(query.values, ['greg', 'test']);
+
+	var queries = users.insert([{user : 'greg', id : 1}, {id : 2, salt_pw : 'pw'}, {id : 3}])
+					.chunk(2)
+					.on_duplicate({salt : 'x'})
+					.buildQueries({parameterized : true});
+	test.deepEqual(queries, [{
+		sql : 'INSERT INTO users (`user`, `id`, `password`) VALUES (?, ?, DEFAULT), (DEFAULT, ?, MD5(CONCAT(`salt`, ?))) ON DUPLICATE KEY UPDATE `salt` = ?',
+		values : ['greg', 1, 2, 'pw', 'x']
+	}, {
+		sql : 'INSERT INTO users (`user`, `id`, `password`) VALUES (DEFAULT, ?, DEFAULT) ON DUPLICATE KEY UPDATE `salt` = ?',
+		values : [3, 'x']
+	}]);
+
+	test.done();
+};
+
+exports['upsert'] = function(test) {
+	var sql = users.insert({id : 5, user : 'greg'}).on_duplicate({user : 'greg', id : db.$add(1)}).buildQuery();
+	test.equals(sql, 'INSERT INTO users SET `id` = 5, `user` = \'greg\' ON DUPLICATE KEY UPDATE `user` = \'greg\', `id` = `id` + 1');
+
+	sql = users.insert({id : 5, user : 'greg'}).on_duplicate().buildQuery();
+	test.equals(sql, 'INSERT INTO users SET `id` = 5, `user` = \'greg\' ON DUPLICATE KEY UPDATE `id` = VALUES(`id`), `user` = VALUES(`user`)');
+
+	sql = users.insert([{id : 5, user : 'greg'}, {id : 6, user : 'bob'}]).on_duplicate(['user']).buildQuery();
+	test.equals(sql, 'INSERT INTO users (`id`, `user`) VALUES (5, \'greg\'), (6, \'bob\') ON DUPLICATE KEY UPDATE `user` = VALUES(`user`)');
+
+	test.done();
+};
+
+exports['ignore'] = function(test) {
+	var sql = users.insert({id : 5}).ignore().buildQuery();
+	test.equals(sql, 'INSERT IGNORE INTO users SET `id` = 5');
+
+	test.done();
+};
+
+exports['replace'] = function(test) {
+	var sql = users.replace({id : 5, user : 'greg'}).buildQuery();
+	test.equals(sql, 'REPLACE INTO users SET `id` = 5, `user` = \'greg\'');
+
+	sql = users.replace([{id : 5}, {id : 6}]).buildQuery();
+	test.equals(sql, 'REPLACE INTO users (`id`) VALUES (5), (6)');
+
+	test.done();
+};
+
 module.exports = exports;
@@ -58,4 +58,135 @@ exports['inner'] = function(test) {
 	test.done();
 };
 
+exports['on conditions'] = function(test) {
+	var sql = users.select({}, 'u')
+				.left_join(posts, 'p')
+				.on(['id', 'userId'], {threadId : [1, 2], id : db.$gt(10)})
+				.buildQuery();
+	test.equals(sql, 'SELECT `u`.*, `p`.* FROM users AS u LEFT JOIN posts AS p ON `u`.`id` = `p`.`userId` AND `p`.`threadId` IN (1, 2) AND `p`.`id` > 10');
+
+	sql = users.select({id : 1}, 'u')
+				.left_join(posts, 'p')
+				.on({0 : 'id', 1 : 'userId'})
+				.on({any : db.$or([{threadId : 3}, {content : db.$like('%db%')}])})
+				.buildQuery();
+	test.equals(sql, 'SELECT `u`.*, `p`.* FROM users AS u LEFT JOIN posts AS p ON `u`.`id` = `p`.`userId` AND (`p`.`threadId` = 3 OR `p`.`content` LIKE \'%db%\') WHERE `u`.`id` = 1');
+
+	var query = users.select({id : 1}, 'u')
+				.left_join(posts, 'p')
+				.on(['id', 'userId'], {threadId : 4})
+				.toSQL();
+	test.equals(query.sql, 'SELECT `u`.*, `p`.* FROM users AS u LEFT JOIN posts AS p ON `u`.`id` = `p`.`userId` AND `p`.`threadId` = ? WHERE `u`.`id` = ?');
+	test.deepEqual(query.values, [4, 1]);
+
+	test.done();
+};
+
+exports['cross and natural'] = function(test) {
+	var sql = users.select({id : 1}, 'u').cross_join(posts, 'p').fields(1, 'id').buildQuery();
+	test.equals(sql, 'SELECT `u`.*, `p`.`id` FROM users AS u CROSS JOIN posts AS p WHERE `u`.`id` = 1');
+
+	sql = users.select({}, 'u').natural_join(posts, 'p').buildQuery();
+	test.equals(sql, 'SELECT `u`.*, `p`.* FROM users AS u NATURAL JOIN posts AS p');
+
+	sql = posts.select({}, 'p').inner_join(posts, 'q').using('threadId', 'userId').buildQuery();
+	test.equals(sql, 'SELECT `p`.*, `q`.* FROM posts AS p INNER JOIN posts AS q USING (`threadId`, `userId`)');
+
+	test.done();
+};
+
+exports['full'] = function(test) {
+	var query = users.select({user : 'bob'}, 'u')
+				.fields('id')
+				.full_join(posts, 'p')
+				.on(['id', 'userId'])
+				.fields(1, ['id', 'postId'])
+				.order('id')
+				.limit(5);
+	test.equals(query.buildQuery(), 'SELECT `u`.`id`, `p`.`id` AS postId FROM users AS u LEFT JOIN posts AS p ON `u`.`id` = `p`.`userId` WHERE `u`.`user` = \'bob\' '
+					+ 'UNION ALL SELECT `u`.`id`, `p`.`id` AS postId FROM users AS u RIGHT JOIN posts AS p ON `u`.`id` = `p`.`userId` WHERE `u`.`user` = \'bob\' AND `u`.`id` IS NULL '
+					+ 'ORDER BY `id` LIMIT 5');
+
+	var sql = query.toSQL();
+	test.deepEqual(sql.values, ['bob', 'bob', 5]);
+
+	// Fields are ordered by their names in the results
+	sql = users.select({}, 'u').fields('id').full_join(posts, 'p').using('id').fields(1, ['id', 'postId']).order(1, db.$desc('id')).buildQuery();
+	test.equals(sql, 'SELECT `u`.`id`, `p`.`id` AS postId FROM users AS u LEFT JOIN posts AS p USING (`id`) '
+					+ 'UNION ALL SELECT `u`.`id`, `p`.`id` AS postId FROM users AS u RIGHT JOIN posts AS p USING (`id`) WHERE `u`.`id` IS NULL '
+					+ 'ORDER BY `postId` DESC');
+
+	// Ambiguous or missing ORDER BY fields, locks, and joins without a column to test for a match are refused
+	query = users.select({}, 'u').fields('id').full_join(posts, 'p').on(['id', 'userId']).fields(1, 'id').order('id');
+	test.throws(function() { query.buildQuery(); }, db.QueryError);
+	query = users.select({}, 'u').fields('id').full_join(posts, 'p').on(['id', 'userId']).fields(1, 'userId').order(1, 'posted');
+	test.throws(function() { query.buildQuery(); }, db.QueryError);
+	query = users.select({}, 'u').full_join(posts, 'p').on(['id', 'userId']).for_update();
+	test.throws(function() { query.buildQuery(); }, db.QueryError);
+	query = users.select({}, 'u').full_join(posts, 'p').on({userId : 5});
+	test.throws(function() { query.buildQuery(); }, db.QueryError);
+
+	// Each half only sees part of the rows, so grouping, aggregates, and DISTINCT are refused too
+	query = users.select({}, 'u').fields([db.$count('*'), 'n']).full_join(posts, 'p').on(['id', 'userId']).fields(1, []);
+	test.throws(function() { query.buildQuery(); }, db.QueryError);
+	query = users.select({}, 'u').fields([db.$add(db.$count('*'), 1), 'n']).full_join(posts, 'p').on(['id', 'userId']).fields(1, []);
+	test.throws(function() { query.buildQuery(); }, db.QueryError);
+	query = users.select({}, 'u').fields('id').full_join(posts, 'p').on(['id', 'userId']).fields(1, []).group('id');
+	test.throws(function() { query.buildQuery(); }, db.QueryError);
+	query = users.select({}, 'u').fields('id').full_join(posts, 'p').on(['id', 'userId']).fields(1, []).distinct();
+	test.throws(function() { query.buildQuery(); }, db.QueryError);
+
+	// Databases with FULL OUTER JOIN count the joined rows directly
+	sql = users.clone().set_dialect('postgres').select({}, 'u').fields([db.$count('*'), 'n']).full_join(posts, 'p').on(['id', 'userId']).fields(1, []).buildQuery();
+	test.equals(sql, 'SELECT COUNT(*) AS n FROM "users" AS "u" FULL OUTER JOIN "posts" AS "p" ON "u"."id" = "p"."userId"');
+
+	test.done();
+};
+
+exports['self join'] = function(test) {
+	var author = users.as('author');
+	var editor = users.as('editor');
+	var sql = posts.select({}, 'p')
+				.fields('id')
+				.left_join(author)
+				.on(['userId', 'id'])
+				.left_join(editor)
+				.on({id : db.$neq(author.c.id)})
+				.fields(2, [editor.c.user, 'editor'])
+				.where(1, {user : db.$neq(editor.c.user)})
+				.order(db.$desc(editor.c.registered))
+				.group(author.c.id)
+				.buildQuery();
+	test.equals(sql, 'SELECT `p`.`id`, `author`.*, `editor`.`user` AS editor FROM posts AS p LEFT JOIN users AS author ON `p`.`userId` = `author`.`id` '
+					+ 'LEFT JOIN users AS editor ON `editor`.`id` != `author`.`id` WHERE `author`.`user` != `editor`.`user` '
+					+ 'GROUP BY `author`.`id` ORDER BY `editor`.`registered` DESC');
+
+	var query = posts.select({}, 'p').fields('id').left_join(users, 'u').fields(1, 'id');
+	query.where({userId : db.$eq(query.ref(1, 'id'))}).order(query.ref(1, 'user'), query.ref('id'));
+	test.equals(query.buildQuery(), 'SELECT `p`.`id`, `u`.`id` FROM posts AS p LEFT JOIN users AS u WHERE `p`.`userId` = `u`.`id` ORDER BY `u`.`user`, `p`.`id`');
+
+	sql = users.select({id : db.$in(posts.select({userId : db.$eq(users.as('u').c.id)}).fields('id'))}, 'u').buildQuery();
+	test.equals(sql, 'SELECT * FROM users AS u WHERE `id` IN (SELECT `id` FROM posts WHERE `userId` = `u`.`id`)');
+
+	test.done();
+};
+
+exports['nested'] = function(test) {
+	// The mysql driver nests rows itself, so the fields are left alone
+	var query = users.select({}, 'u')
+				.fields('id', 'user')
+				.inner_join(posts, 'p')
+				.on(['id', 'userId'])
+				.fields(1, 'id', ['content', 'text'], db.$count('*'))
+				.nest();
+	test.equals(query.buildQuery(), 'SELECT `u`.`id`, `u`.`user`, `p`.`id`, `p`.`content` AS text, COUNT(*) '
+					+ 'FROM users AS u INNER JOIN posts AS p ON `u`.`id` = `p`.`userId`');
+	test.deepEqual(query.getDriverOptions(), {nestTables : true});
+
+	var sql = posts.select({id : 1}).nest().buildQuery();
+	test.equals(sql, 'SELECT * FROM posts WHERE `id` = 1');
+
+	test.done();
+};
+
 module.exports = exports;
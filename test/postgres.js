@@ -0,0 +1,170 @@
+/**
+ * Tests for generating queries with the PostgreSQL dialect
+ */
+
+var db = require('../lib-cov/db-filters');
+
+var users = new db('users', {
+	id : db.int_t,
+	user : [db.varchar_t, 32],
+	password : [db.varchar_t, 32],
+	registered : db.datetime_t,
+	salt : [db.varchar_t, 8],
+	post_count : db.int_t
+}, {
+	salt_pw : function(key, value, terms, options) {
+		value = db.$eq(db.$md5(db.$concat(this.c.salt, value)));
+		terms.push(value.get('password', this, options));
+	}
+}).set_dialect('postgres');
+
+var posts = new db('posts', {
+	id : db.int_t,
+	userId : db.int_t
+}, {}).set_dialect('postgres');
+
+exports = {};
+
+exports['select'] = function(test) {
+	var sql = users.select({id : 1, user : 'o\'brien'}).fields('id', 'user').buildQuery();
+	test.equals(sql, 'SELECT "id", "user" FROM "users" WHERE "id" = 1 AND "user" = \'o\'\'brien\'');
+
+	sql = users.select({user : /^a/, salt : db.$not_regex('b$')}).buildQuery();
+	test.equals(sql, 'SELECT * FROM "users" WHERE "user" ~ \'^a\' AND "salt" !~ \'b$\'');
+
+	sql = users.select().limit(10).buildQuery();
+	test.equals(sql, 'SELECT * FROM "users" LIMIT 10');
+
+	sql = users.select().limit(20, 10).buildQuery();
+	test.equals(sql, 'SELECT * FROM "users" LIMIT 10 OFFSET 20');
+
+	sql = users.select().limit(1).for_update('NOWAIT').buildQuery();
+	test.equals(sql, 'SELECT * FROM "users" LIMIT 1 FOR UPDATE NOWAIT');
+
+	sql = users.select().distinct().lock_in_share_mode().buildQuery();
+	test.equals(sql, 'SELECT DISTINCT * FROM "users" FOR SHARE');
+	test.throws(function() { users.select().sql_calc_found_rows().limit(10).buildQuery(); }, db.QueryError);
+
+	sql = users.select({any : db.$or([])}).buildQuery();
+	test.equals(sql, 'SELECT * FROM "users" WHERE FALSE');
+
+	test.done();
+};
+
+exports['functions'] = function(test) {
+	var sql = users.select({registered : db.$lt(db.$curdate())}).order(db.$rand()).buildQuery();
+	test.equals(sql, 'SELECT * FROM "users" WHERE "registered" < CURRENT_DATE ORDER BY RANDOM()');
+
+	sql = users.select().fields([db.$pow('id', 2), 'sq'], db.$now()).buildQuery();
+	test.equals(sql, 'SELECT POWER("id", 2) AS sq, NOW() FROM "users"');
+
+	sql = users.select().fields(db.$group_concat('user', ';').order(db.$desc('id')).distinct()).buildQuery();
+	test.equals(sql, 'SELECT STRING_AGG(DISTINCT "user", \';\' ORDER BY "id" DESC) FROM "users"');
+
+	test.done();
+};
+
+exports['having'] = function(test) {
+	// HAVING can't refer to field aliases, so their expressions are repeated
+	var query = users.select().fields('user', [db.$count('id'), 'total'], [db.$add('post_count', 1), 'posts'])
+				.group('user', 'post_count')
+				.having({total : db.$gt(5), posts : 2})
+				.toSQL();
+	test.equals(query.sql, 'SELECT "user", COUNT("id") AS total, "post_count" + $1 AS posts FROM "users" GROUP BY "user", "post_count" '
+					+ 'HAVING (COUNT("id")) > $2 AND ("post_count" + $3) = $4');
+	test.deepEqual(query.values, [1, 5, 1, 2]);
+
+	test.done();
+};
+
+exports['join'] = function(test) {
+	var sql = posts.select({id : 1}, 'p')
+				.left_join(users, 'u')
+				.on(['userId', 'id'])
+				.buildQuery();
+	test.equals(sql, 'SELECT "p".*, "u".* FROM "posts" AS "p" LEFT JOIN "users" AS "u" ON "p"."userId" = "u"."id" WHERE "p"."id" = 1');
+
+	// Without the driver's help, nested rows need every field named by table
+	var query = posts.select({}, 'p').fields('id').inner_join(users, 'u').on(['userId', 'id']).fields(1, 'user').nest();
+	test.equals(query.buildQuery(), 'SELECT "p"."id" AS "p.id", "u"."user" AS "u.user" FROM "posts" AS "p" INNER JOIN "users" AS "u" ON "p"."userId" = "u"."id"');
+	test.deepEqual(query.decodeRows([{'p.id' : 1, 'u.user' : 'bob'}]), [{p : {id : 1}, u : {user : 'bob'}}]);
+	test.throws(function() { posts.select({}, 'p').inner_join(users, 'u').nest().buildQuery(); }, db.QueryError);
+
+	sql = posts.select({}, 'p').full_join(users, 'u').using('id').order('id').buildQuery();
+	test.equals(sql, 'SELECT "p".*, "u".* FROM "posts" AS "p" FULL OUTER JOIN "users" AS "u" USING ("id") ORDER BY "p"."id"');
+
+	// Table names are quoted like the column prefixes, so mixed case names and reserved words work
+	var userPosts = new db('userPosts', {userId : db.int_t, postId : db.int_t}, {}).set_dialect('postgres');
+	var user = new db('user', {id : db.int_t}, {}).set_dialect('postgres');
+	sql = userPosts.select().inner_join(user).on(['userId', 'id']).buildQuery();
+	test.equals(sql, 'SELECT "userPosts".*, "user".* FROM "userPosts" INNER JOIN "user" ON "userPosts"."userId" = "user"."id"');
+	sql = userPosts.select({}, 'uP').fields('postId').buildQuery();
+	test.equals(sql, 'SELECT "postId" FROM "userPosts" AS "uP"');
+	test.equals(user.insert({id : 1}).buildQuery(), 'INSERT INTO "user" ("id") VALUES (1)');
+	test.equals(user.update({id : 2}, {id : 1}).buildQuery(), 'UPDATE "user" SET "id" = 2 WHERE "id" = 1');
+
+	test.done();
+};
+
+exports['parameterized'] = function(test) {
+	var query = users.select({id : 5, salt_pw : 'pw'}).limit(20, 10).toSQL();
+	test.equals(query.sql, 'SELECT * FROM "users" WHERE "id" = $1 AND "password" = MD5(CONCAT("salt", $2)) LIMIT $3 OFFSET $4');
+	test.deepEqual(query.values, [5, 'pw', 10, 20]);
+
+	var queries = users.insert([{id : 1}, {id : 2}]).chunk(1).buildQueries({parameterized : true});
+	test.deepEqual(queries, [
+		{sql : 'INSERT INTO "users" ("id") VALUES ($1)', values : [1]},
+		{sql : 'INSERT INTO "users" ("id") VALUES ($1)', values : [2]}]);
+
+	test.done();
+};
+
+exports['insert'] = function(test) {
+	var sql = users.insert({id : 1, user : 'greg'}).buildQuery();
+	test.equals(sql, 'INSERT INTO "users" ("id", "user") VALUES (1, \'greg\')');
+
+	sql = users.insert({id : 1, user : 'greg'}).ignore().buildQuery();
+	test.equals(sql, 'INSERT INTO "users" ("id", "user") VALUES (1, \'greg\') ON CONFLICT DO NOTHING');
+
+	sql = users.insert({id : 1, post_count : 1}).on_duplicate({post_count : db.$add(1)}, 'id').buildQuery();
+	test.equals(sql, 'INSERT INTO "users" ("id", "post_count") VALUES (1, 1) ON CONFLICT ("id") DO UPDATE SET "post_count" = "users"."post_count" + 1');
+
+	sql = users.insert({id : 1, user : 'greg'}).on_duplicate(['user'], ['id']).returning('id').buildQuery();
+	test.equals(sql, 'INSERT INTO "users" ("id", "user") VALUES (1, \'greg\') ON CONFLICT ("id") DO UPDATE SET "user" = EXCLUDED."user" RETURNING "id"');
+
+	test.throws(function() { users.insert({id : 1, user : 'greg'}).on_duplicate(['user']).buildQuery(); }, db.QueryError);
+	test.throws(function() { users.replace({id : 1}).buildQuery(); }, db.QueryError);
+
+	test.done();
+};
+
+exports['update'] = function(test) {
+	var sql = users.update({post_count : db.$add(1)}, {id : 5}).returning('id', 'post_count').buildQuery();
+	test.equals(sql, 'UPDATE "users" SET "post_count" = "post_count" + 1 WHERE "id" = 5 RETURNING "id", "post_count"');
+
+	sql = users.delete({id : 5}).returning('id').buildQuery();
+	test.equals(sql, 'DELETE FROM "users" WHERE "id" = 5 RETURNING "id"');
+
+	test.throws(function() { users.update({post_count : 0}).limit(5).buildQuery(); }, db.QueryError);
+	test.throws(function() { users.delete({}).order('id').buildQuery(); }, db.QueryError);
+
+	var queries = [];
+	var filter = users.clone();
+	filter.set_conn({
+		query : function(query, cb) {
+			queries.push(query);
+			cb(null, []);
+		}
+	});
+
+	filter.delete({id : 5}).limit(5).exec(function() {
+		test.ok(false, 'Success callback should not be called');
+		test.done();
+	}, function(err) {
+		test.ok(err instanceof db.QueryError);
+		test.equals(queries.length, 0);
+		test.done();
+	});
+};
+
+module.exports = exports;
@@ -82,6 +82,89 @@ exports['group'] = function(test) {
 	test.done();
 };
 
+exports['aggregates'] = function(test) {
+	var sql = users.select().fields(db.$sum('longid'), [db.$avg('id'), 'a'], db.$min('registered'), db.$max('id'), db.$stddev('id')).buildQuery();
+	test.equals(sql, 'SELECT SUM(`longid`), AVG(`id`) AS a, MIN(`registered`), MAX(`id`), STDDEV(`id`) FROM users');
+
+	sql = users.select().fields(db.$count('*'), [db.$count('user').distinct(), 'names']).buildQuery();
+	test.equals(sql, 'SELECT COUNT(*), COUNT(DISTINCT `user`) AS names FROM users');
+
+	sql = users.select().fields(db.$group_concat('user')).group('status').buildQuery();
+	test.equals(sql, 'SELECT GROUP_CONCAT(`user`) FROM users GROUP BY `status`');
+
+	sql = users.select().fields(db.$group_concat('user', ',').order(db.$desc('id'), 'user').distinct()).buildQuery();
+	test.equals(sql, 'SELECT GROUP_CONCAT(DISTINCT `user` ORDER BY `id` DESC, `user` SEPARATOR \',\') FROM users');
+
+	sql = users.select().group('status').having({id : db.$gt(db.$sum(), 100), any : db.$ge2(db.$count('*'), 5)}).buildQuery();
+	test.equals(sql, 'SELECT * FROM users GROUP BY `status` HAVING SUM(`id`) > 100 AND COUNT(*) >= 5');
+
+	test.done();
+};
+
+exports['window'] = function(test) {
+	var sql = users.select().fields('id', [db.$row_number().partition('status').order(db.$desc('registered')), 'n']).buildQuery();
+	test.equals(sql, 'SELECT `id`, ROW_NUMBER() OVER (PARTITION BY `status` ORDER BY `registered` DESC) AS n FROM users');
+
+	sql = users.select().fields(db.$rank().order('id'), db.$ntile(4).order('id'), db.$dense_rank()).buildQuery();
+	test.equals(sql, 'SELECT RANK() OVER (ORDER BY `id`), NTILE(4) OVER (ORDER BY `id`), DENSE_RANK() OVER () FROM users');
+
+	sql = users.select().fields(db.$lag('user', 1, 'none').order('id'), db.$lead('user').partition(['status', 'salt']).order('id')).buildQuery();
+	test.equals(sql, 'SELECT LAG(`user`, 1, \'none\') OVER (ORDER BY `id`), LEAD(`user`) OVER (PARTITION BY `status`, `salt` ORDER BY `id`) FROM users');
+
+	sql = users.select().fields(db.$sum('longid').over().partition('status').order('id').frame('ROWS BETWEEN UNBOUNDED PRECEDING AND CURRENT ROW'),
+			db.$last_value('user').order('id')).buildQuery();
+	test.equals(sql, 'SELECT SUM(`longid`) OVER (PARTITION BY `status` ORDER BY `id` ROWS BETWEEN UNBOUNDED PRECEDING AND CURRENT ROW), LAST_VALUE(`user`) OVER (ORDER BY `id`) FROM users');
+
+	var query = users.select().fields([db.$row_number().partition('status').order(db.$desc('id')), 'n']);
+	sql = db.with('ranked', query).select({n : 1}).buildQuery();
+	test.equals(sql, 'WITH `ranked` AS (SELECT ROW_NUMBER() OVER (PARTITION BY `status` ORDER BY `id` DESC) AS n FROM users) SELECT * FROM `ranked` WHERE `n` = 1');
+
+	test.done();
+};
+
+exports['having'] = function(test) {
+	var sql = users.select().fields('status', [db.$count('id'), 'total']).group('status').having({total : db.$gt(5)}).buildQuery();
+	test.equals(sql, 'SELECT `status`, COUNT(`id`) AS total FROM users GROUP BY `status` HAVING `total` > 5');
+
+	sql = users.select({status : db.$neq(0)}).group('status').having({id : db.$ge(db.$count(), 2)}).order('status').buildQuery();
+	test.equals(sql, 'SELECT * FROM users WHERE `status` != 0 GROUP BY `status` HAVING COUNT(`id`) >= 2 ORDER BY `status`');
+
+	sql = users.select().alias('u').inner_join(users, 'v').fields(0, 'status', [db.$count('id'), 'total']).group('status')
+				.having({total : db.$lt(3)}).having(1, {status : 1}).buildQuery();
+	test.equals(sql, 'SELECT `u`.`status`, COUNT(`u`.`id`) AS total, `v`.* FROM users AS u INNER JOIN users AS v GROUP BY `u`.`status` HAVING `total` < 3 AND `v`.`status` = 1');
+
+	var query = users.select().fields('status', [db.$count('id'), 'total']).group('status').having({total : db.$gt(5)}).toSQL();
+	test.equals(query.sql, 'SELECT `status`, COUNT(`id`) AS total FROM users GROUP BY `status` HAVING `total` > ?');
+	test.deepEqual(query.values, [5]);
+
+	test.done();
+};
+
+exports['modifiers'] = function(test) {
+	var sql = users.select().fields('status').distinct().buildQuery();
+	test.equals(sql, 'SELECT DISTINCT `status` FROM users');
+
+	sql = users.select().alias('u').inner_join(users, 'v').hint('STRAIGHT_JOIN').sql_calc_found_rows().distinct().limit(10).buildQuery();
+	test.equals(sql, 'SELECT DISTINCT STRAIGHT_JOIN SQL_CALC_FOUND_ROWS `u`.*, `v`.* FROM users AS u INNER JOIN users AS v LIMIT 10');
+
+	sql = users.select({status : 0}).limit(1).for_update().buildQuery();
+	test.equals(sql, 'SELECT * FROM users WHERE `status` = 0 LIMIT 1 FOR UPDATE');
+
+	sql = users.select({status : 0}).limit(1).for_update('skip_locked').buildQuery();
+	test.equals(sql, 'SELECT * FROM users WHERE `status` = 0 LIMIT 1 FOR UPDATE SKIP LOCKED');
+
+	sql = users.select({id : 1}).lock_in_share_mode().buildQuery();
+	test.equals(sql, 'SELECT * FROM users WHERE `id` = 1 LOCK IN SHARE MODE');
+
+	sql = users.select({id : 1}).lock_in_share_mode('NOWAIT').buildQuery();
+	test.equals(sql, 'SELECT * FROM users WHERE `id` = 1 FOR SHARE NOWAIT');
+
+	// An unknown wait option would otherwise silently become a blocking lock
+	test.throws(function() { users.select().for_update('SKIP_LOCKD').buildQuery(); }, db.QueryError);
+
+	test.done();
+};
+
 exports['where'] = function(test) {
 	var sql = users.select({id : 1}).buildQuery();
 	test.equals(sql, 'SELECT * FROM users WHERE `id` = 1');
@@ -110,9 +193,83 @@ exports['where'] = function(test) {
 	sql = users.select({id : db.$in(db.$pow(2), [1, 2, 4])}).buildQuery();
 	test.equals(sql, 'SELECT * FROM users WHERE POW(`id`, 2) IN (1, 2, 4)');
 
+	// The filter's own helpers may be used without any options
+	test.equals(users.where({id : 1, user : 'bob'}), ' WHERE `id` = 1 AND `user` = \'bob\'');
+	test.equals(users.set({id : 2}), ' SET `id` = 2');
+
 	test.done();
 }
 
+exports['groups'] = function(test) {
+	var sql = users.select({any : db.$or([{id : 1}, {user : 'bob'}]), status : 3}).buildQuery();
+	test.equals(sql, 'SELECT * FROM users WHERE (`id` = 1 OR `user` = \'bob\') AND `status` = 3');
+
+	sql = users.select({id : db.$or([1, db.$gt(10)])}).buildQuery();
+	test.equals(sql, 'SELECT * FROM users WHERE (`id` = 1 OR `id` > 10)');
+
+	sql = users.select({any : db.$or([{id : [1, 2], status : 1}, {salt_pw : 'password'}])}).buildQuery();
+	test.equals(sql, 'SELECT * FROM users WHERE ((`id` IN (1, 2) AND `status` = 1) OR `password` = MD5(CONCAT(`salt`, \'password\')))');
+
+	sql = users.select({any : db.$or([{user : /^a/}, db.$and({id : db.$gt(5), status : 2})])}).buildQuery();
+	test.equals(sql, 'SELECT * FROM users WHERE (`user` REGEXP \'^a\' OR (`id` > 5 AND `status` = 2))');
+
+	sql = users.select({any : db.$not_group({id : 1, status : 2})}).buildQuery();
+	test.equals(sql, 'SELECT * FROM users WHERE NOT (`id` = 1 AND `status` = 2)');
+
+	sql = users.select({any : db.$or([])}).buildQuery();
+	test.equals(sql, 'SELECT * FROM users WHERE 0');
+
+	test.done();
+};
+
+exports['parameterized'] = function(test) {
+	var query = users.select({id : 5, user : db.$like('%bob%'), registered : db.$gt(new Date(2013, 0, 5)), salt_pw : 'password'})
+					.limit(10, 20)
+					.toSQL();
+	test.equals(query.sql, 'SELECT * FROM users WHERE `id` = ? AND `user` LIKE ? AND `registered` > ? AND `password` = MD5(CONCAT(`salt`, ?)) LIMIT ?, ?');
+	test.deepEqual(query.values, [5, '%bob%', '2013-01-05 00:00:00', 'password', 10, 20]);
+
+	query = users.select({longid : '12345', id : [1, 2]}).buildQuery({parameterized : true});
+	test.equals(query.sql, 'SELECT * FROM users WHERE `longid` = ? AND `id` IN (?, ?)');
+	test.deepEqual(query.values, ['12345', 1, 2]);
+
+	test.done();
+};
+
+exports['subqueries'] = function(test) {
+	var inner = users.select({status : 2}).fields('id');
+	var sql = users.select({id : db.$in(inner)}).buildQuery();
+	test.equals(sql, 'SELECT * FROM users WHERE `id` IN (SELECT `id` FROM users WHERE `status` = 2)');
+
+	sql = users.select({id : db.$not_in(inner)}).buildQuery();
+	test.equals(sql, 'SELECT * FROM users WHERE `id` NOT IN (SELECT `id` FROM users WHERE `status` = 2)');
+
+	sql = users.select({id : users.select().fields(db.$count('id'))}).buildQuery();
+	test.equals(sql, 'SELECT * FROM users WHERE `id` = (SELECT COUNT(`id`) FROM users)');
+
+	sql = users.select({any : db.$not_exists(inner), status : 1}).buildQuery();
+	test.equals(sql, 'SELECT * FROM users WHERE NOT EXISTS (SELECT `id` FROM users WHERE `status` = 2) AND `status` = 1');
+
+	sql = users.select().fields('id', [users.select().fields(db.$count('*')), 'total']).buildQuery();
+	test.equals(sql, 'SELECT `id`, (SELECT COUNT(*) FROM users) AS total FROM users');
+
+	sql = users.select_from(inner, 'u', {id : db.$gt(5)}).fields('id').buildQuery();
+	test.equals(sql, 'SELECT `id` FROM (SELECT `id` FROM users WHERE `status` = 2) AS u WHERE `id` > 5');
+
+	// Derived tables must have an alias, which may also come from the filter or alias()
+	test.throws(function() { users.select_from(inner).buildQuery(); }, db.QueryError);
+	sql = users.as('v').select_from(inner).buildQuery();
+	test.equals(sql, 'SELECT * FROM (SELECT `id` FROM users WHERE `status` = 2) AS v');
+	sql = users.select_from(inner).alias('w').buildQuery();
+	test.equals(sql, 'SELECT * FROM (SELECT `id` FROM users WHERE `status` = 2) AS w');
+
+	var query = users.select({user : 'bob', id : db.$in(inner)}).limit(5).toSQL();
+	test.equals(query.sql, 'SELECT * FROM users WHERE `user` = ? AND `id` IN (SELECT `id` FROM users WHERE `status` = ?) LIMIT ?');
+	test.deepEqual(query.values, ['bob', 2, 5]);
+
+	test.done();
+};
+
 exports['bigint'] = function(test) {
 	var sql = users.select({longid : '12345'}).buildQuery();
 	test.equals(sql, 'SELECT * FROM users WHERE `longid` = 12345');
@@ -0,0 +1,101 @@
+/**
+ * Tests for the SQLite dialect and connection adapter, using a fake sqlite3 handle
+ */
+
+var db = require('../lib-cov/db-filters');
+
+var users = new db('users', {
+	id : db.int_t,
+	user : [db.varchar_t, 32],
+	registered : db.datetime_t,
+	birthday : db.date_t
+}, {}).set_dialect('sqlite');
+
+/**
+ * Creates an object that looks like a sqlite3 database, recording the calls made
+ */
+function fake_handle() {
+	return {
+		calls : [],
+		all : function(sql, values, cb) {
+			this.calls.push(['all', sql, values]);
+			cb(null, [{id : 1}]);
+		},
+		run : function(sql, values, cb) {
+			this.calls.push(['run', sql, values]);
+			cb.call({changes : 1, lastID : 7}, null);
+		}
+	};
+}
+
+exports = {};
+
+exports['select'] = function(test) {
+	var date = new Date(Date.UTC(2013, 0, 5, 3, 4, 5));
+
+	var sql = users.select({registered : db.$lt(date), birthday : date}).limit(20, 10).buildQuery();
+	test.equals(sql, 'SELECT * FROM "users" WHERE "registered" < \'2013-01-05 03:04:05.000\' AND "birthday" = \'2013-01-05\' LIMIT 10 OFFSET 20');
+
+	sql = users.select({registered : db.$lt(db.$now())}).order(db.$rand()).buildQuery();
+	test.equals(sql, 'SELECT * FROM "users" WHERE "registered" < datetime(\'now\') ORDER BY RANDOM()');
+
+	// There are no row locks, and running the query without one could corrupt a queue
+	test.throws(function() { users.select().limit(1).for_update().buildQuery(); }, db.QueryError);
+
+	test.done();
+};
+
+exports['insert'] = function(test) {
+	var sql = users.insert({id : 1, user : 'greg'}).ignore().buildQuery();
+	test.equals(sql, 'INSERT OR IGNORE INTO "users" ("id", "user") VALUES (1, \'greg\')');
+
+	sql = users.insert({id : 1, user : 'greg'}).on_duplicate(['user'], 'id').buildQuery();
+	test.equals(sql, 'INSERT INTO "users" ("id", "user") VALUES (1, \'greg\') ON CONFLICT ("id") DO UPDATE SET "user" = excluded."user"');
+
+	sql = users.replace({id : 1}).buildQuery();
+	test.equals(sql, 'REPLACE INTO "users" ("id") VALUES (1)');
+
+	// SQLite doesn't accept DEFAULT in a VALUES list, so rows must have the same columns
+	sql = users.insert([{id : 1, user : 'greg'}, {user : 'bob', id : 2}]).buildQuery();
+	test.equals(sql, 'INSERT INTO "users" ("id", "user") VALUES (1, \'greg\'), (2, \'bob\')');
+	test.throws(function() { users.insert([{id : 1, user : 'greg'}, {id : 2}]).buildQuery(); }, db.QueryError);
+
+	test.done();
+};
+
+exports['compound'] = function(test) {
+	// SQLite doesn't allow the parts of a compound query to be parenthesized
+	var sql = db.union(users.select().fields('id').order('id').limit(1), users.select({id : 5}).fields('id')).buildQuery();
+	test.equals(sql, 'SELECT * FROM (SELECT "id" FROM "users" ORDER BY "id" LIMIT 1) UNION SELECT "id" FROM "users" WHERE "id" = 5');
+
+	test.done();
+};
+
+exports['adapter'] = function(test) {
+	var handle = fake_handle();
+	var filter = new db('users', {id : db.int_t}, {});
+	filter.set_conn(handle);
+
+	test.equals(filter.get_dialect().name, 'sqlite');
+	test.ok(db.SQLiteAdapter.returns_rows('(SELECT 1 LIMIT 1) UNION SELECT 2'));
+	test.ok(!db.SQLiteAdapter.returns_rows('INSERT INTO users ("id") VALUES (1)'));
+
+	filter.select({id : 1}).exec(function(rows) {
+		test.deepEqual(rows, [{id : 1}]);
+		test.deepEqual(handle.calls[0], ['all', 'SELECT * FROM "users" WHERE "id" = 1', []]);
+
+		filter.insert({id : 2}).exec(function(result) {
+			test.deepEqual(result, {affectedRows : 1, insertId : 7});
+			test.equals(handle.calls[1][0], 'run');
+			test.done();
+		}, function(err) {
+			test.ok(false, 'Insert should succeed');
+			test.done();
+		});
+	}, function(err) {
+		test.ok(false, 'Select should succeed');
+		test.done();
+	});
+};
+
+module.exports = exports;
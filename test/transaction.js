@@ -0,0 +1,171 @@
+/**
+ * Tests for transactions, using a fake connection that records statements
+ */
+
+var db = require('../lib-cov/db-filters');
+
+var filters = {
+	users : new db('users', {
+		id : db.int_t,
+		user : [db.varchar_t, 32]
+	}, {})
+};
+
+/**
+ * Creates a connection that records every statement and fails the ones matching fail
+ */
+function fake_conn(fail) {
+	return {
+		statements : [],
+		query : function(query, cb) {
+			var sql = (query.sql === undefined) ? query : query.sql;
+			this.statements.push(sql);
+			if (fail && fail.test(sql))
+				cb(new Error('failed'));
+			else
+				cb(null, {affectedRows : 1});
+		}
+	};
+}
+
+exports = {};
+
+exports['commit'] = function(test) {
+	var conn = fake_conn();
+
+	db.transaction(conn, filters, function(tx, done) {
+		test.ok(tx.users !== filters.users);
+		test.ok(tx.users.conn === conn);
+		tx.users.update({user : 'greg'}, {id : 1}).exec(function() {
+			done(null, 5);
+		}, done);
+	}, function(result) {
+		test.equals(result, 5);
+		test.deepEqual(conn.statements, ['START TRANSACTION', 'UPDATE users SET `user` = \'greg\' WHERE `id` = 1', 'COMMIT']);
+		test.done();
+	}, function(err) {
+		test.ok(false, 'Transaction should succeed');
+		test.done();
+	});
+};
+
+exports['rollback'] = function(test) {
+	var conn = fake_conn(/^DELETE/);
+
+	db.transaction(conn, filters, function(tx, done) {
+		tx.users.delete({id : 1}).exec(function() {
+			done();
+		}, done);
+	}).then(function() {
+		test.ok(false, 'Transaction should fail');
+		test.done();
+	}, function(err) {
+		test.equals(err.message, 'failed');
+		test.deepEqual(conn.statements, ['START TRANSACTION', 'DELETE FROM users WHERE `id` = 1', 'ROLLBACK']);
+		test.done();
+	});
+};
+
+exports['exception'] = function(test) {
+	var conn = fake_conn();
+
+	db.transaction(conn, filters, function(tx, done) {
+		throw new Error('thrown');
+	}).catch(function(err) {
+		test.equals(err.message, 'thrown');
+		test.deepEqual(conn.statements, ['START TRANSACTION', 'ROLLBACK']);
+		test.done();
+	});
+};
+
+exports['nested'] = function(test) {
+	var conn = fake_conn();
+
+	db.transaction(conn, filters, function(tx) {
+		return tx.users.insert({id : 1}).then(function() {
+			return db.transaction(conn, tx, function(inner) {
+				return inner.users.insert({id : 2}).then(function() {
+					throw new Error('inner');
+				});
+			});
+		}).catch(function(err) {
+			test.equals(err.message, 'inner');
+			return 'outer';
+		});
+	}).then(function(result) {
+		test.equals(result, 'outer');
+		test.deepEqual(conn.statements, [
+			'START TRANSACTION',
+			'INSERT INTO users SET `id` = 1',
+			'SAVEPOINT db_filters_1',
+			'INSERT INTO users SET `id` = 2',
+			'ROLLBACK TO SAVEPOINT db_filters_1',
+			'COMMIT']);
+		test.done();
+	});
+};
+
+exports['chunked insert'] = function(test) {
+	var conn = fake_conn(/\(3\)$/);
+	var users = filters.users.clone();
+	users.set_conn(conn);
+
+	users.insert([{id : 1}, {id : 2}, {id : 3}]).chunk(2).exec(function() {
+		test.ok(false, 'Insert should fail');
+		test.done();
+	}, function(err) {
+		test.equals(err.message, 'failed');
+		test.deepEqual(conn.statements, [
+			'START TRANSACTION',
+			'INSERT INTO users (`id`) VALUES (1), (2)',
+			'INSERT INTO users (`id`) VALUES (3)',
+			'ROLLBACK']);
+
+		conn.statements = [];
+		users.insert([{id : 1}, {id : 2}]).chunk(1).exec().then(function(results) {
+			test.equals(results.length, 2);
+			test.deepEqual(conn.statements, [
+				'START TRANSACTION',
+				'INSERT INTO users (`id`) VALUES (1)',
+				'INSERT INTO users (`id`) VALUES (2)',
+				'COMMIT']);
+			test.done();
+		});
+	});
+};
+
+exports['chunked insert with sqlite'] = function(test) {
+	var statements = [];
+	var handle = {
+		all : function(sql, values, cb) {
+			statements.push(sql);
+			cb(null, []);
+		},
+		run : function(sql, values, cb) {
+			statements.push(sql);
+			cb.call({changes : 1, lastID : 1}, null);
+		}
+	};
+
+	// The filters wrap the handle in their own adapter, which must still be seen as in a transaction
+	db.transaction(handle, filters, function(tx, done) {
+		tx.users.insert([{id : 1}, {id : 2}]).chunk(1).exec(function(results) {
+			done(null, results.length);
+		}, done);
+	}, function(result) {
+		test.equals(result, 2);
+		test.deepEqual(statements, [
+			'BEGIN',
+			'SAVEPOINT db_filters_1',
+			'INSERT INTO "users" ("id") VALUES (1)',
+			'INSERT INTO "users" ("id") VALUES (2)',
+			'RELEASE SAVEPOINT db_filters_1',
+			'COMMIT']);
+		test.done();
+	}, function(err) {
+		test.ok(false, 'Transaction should not fail: ' + err);
+		test.done();
+	});
+};
+
+module.exports = exports;
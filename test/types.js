@@ -0,0 +1,201 @@
+/**
+ * Column type conversion tests
+ */
+
+var db = require('../lib-cov/db-filters');
+
+var items = new db('items', {
+	id : db.int_t,
+	price : [db.decimal_t, 10, 2],
+	total : db.decimal_t,
+	weight : db.float_t,
+	active : db.bool_t,
+	size : [db.enum_t, ['small', 'medium', 'large']],
+	tags : [db.set_t, ['new', 'sale', 'used']],
+	meta : db.json_t,
+	data : db.blob_t,
+	opens : db.time_t,
+	made : db.year_t
+}, {});
+
+var money = db.define_type('money', {
+	toDB : function(v) { return Math.round(v * 100); },
+	fromDB : function(v) { return v / 100; },
+	validate : function(v) { return isFinite(v); }
+});
+
+db.define_type('point', {
+	toDB : function(p) { return db.$raw('POINT(' + (+p.x) + ' ' + (+p.y) + ')'); }
+});
+
+var orders = new db('orders', {
+	id : db.int_t,
+	total : money,
+	location : 'point'
+}, {});
+
+var events = new db('events', {
+	id : db.int_t,
+	day : db.date_t,
+	starts : db.datetime_t,
+	logged : [db.timestamp_t, 3]
+}, {});
+
+exports = {};
+
+exports['numeric'] = function(test) {
+	var sql = items.insert({price : 5, total : '12345678901234567890.123456789', weight : '2.5kg'}).buildQuery();
+	test.equals(sql, 'INSERT INTO items SET `price` = 5.00, `total` = 12345678901234567890.123456789, `weight` = 2.5');
+
+	sql = items.select({price : db.$gt('1; DROP TABLE items'), weight : 'heavy'}).buildQuery();
+	test.equals(sql, 'SELECT * FROM items WHERE `price` > 0 AND `weight` = 0');
+
+	test.done();
+};
+
+exports['bool'] = function(test) {
+	var sql = items.select({active : 'false'}).buildQuery();
+	test.equals(sql, 'SELECT * FROM items WHERE `active` = false');
+
+	var query = items.update({active : 1}, {id : 3}).toSQL();
+	test.equals(query.sql, 'UPDATE items SET `active` = ? WHERE `id` = ?');
+	test.deepEqual(query.values, [true, 3]);
+
+	test.done();
+};
+
+exports['enum and set'] = function(test) {
+	var errors = [];
+	db.set_log(function(msg) { errors.push(msg); });
+	db.set_log_level(db.l_error);
+
+	var sql = items.insert({size : 'medium', tags : ['new', 'sale']}).buildQuery();
+	test.equals(sql, 'INSERT INTO items SET `size` = \'medium\', `tags` = \'new,sale\'');
+	test.equals(errors.length, 0);
+
+	sql = items.select({size : 'huge', tags : 'used,broken'}).buildQuery();
+	test.equals(sql, 'SELECT * FROM items WHERE `size` = \'huge\' AND `tags` = \'used,broken\'');
+	test.equals(errors.length, 2);
+
+	db.set_log(null);
+	db.set_log_level(db.l_none);
+	test.done();
+};
+
+exports['json and blob'] = function(test) {
+	var sql = items.insert({meta : {a : [1, 'b']}, data : 'hi'}).buildQuery();
+	test.equals(sql, 'INSERT INTO items SET `meta` = \'{\\"a\\":[1,\\"b\\"]}\', `data` = X\'6869\'');
+
+	var query = items.insert({data : Buffer.from([0, 255])}).toSQL();
+	test.ok(Buffer.isBuffer(query.values[0]));
+	test.equals(query.values[0].toString('hex'), '00ff');
+
+	// Strings are already JSON, unless they don't parse
+	sql = items.update({meta : '{"a":1}'}).buildQuery();
+	test.equals(sql, 'UPDATE items SET `meta` = \'{\\"a\\":1}\'');
+	sql = items.update({meta : 'plain'}).buildQuery();
+	test.equals(sql, 'UPDATE items SET `meta` = \'\\"plain\\"\'');
+
+	test.done();
+};
+
+exports['null'] = function(test) {
+	var query = items.update({id : null, active : null, meta : null, data : null, opens : null, made : null, size : null}).toSQL();
+	test.equals(query.sql, 'UPDATE items SET `id` = ?, `active` = ?, `meta` = ?, `data` = ?, `opens` = ?, `made` = ?, `size` = ?');
+	test.deepEqual(query.values, [null, null, null, null, null, null, null]);
+
+	var sql = items.select({meta : null, opens : null, active : null, id : null}).buildQuery();
+	test.equals(sql, 'SELECT * FROM items WHERE `meta` = NULL AND `opens` = NULL AND `active` = NULL AND `id` = NULL');
+
+	test.done();
+};
+
+exports['time and year'] = function(test) {
+	var sql = items.select({opens : new Date(2013, 0, 5, 9, 5, 3), made : new Date(2013, 0, 5)}).buildQuery();
+	test.equals(sql, 'SELECT * FROM items WHERE `opens` = \'09:05:03\' AND `made` = 2013');
+
+	sql = items.select({opens : db.$gt(93784), made : '1999'}).buildQuery();
+	test.equals(sql, 'SELECT * FROM items WHERE `opens` > \'26:03:04\' AND `made` = 1999');
+
+	// The year is taken in the filter's timezone, like other dates
+	var newYear = new Date(Date.UTC(2013, 0, 1));
+	sql = items.clone().set_timezone('utc').select({made : newYear}).buildQuery();
+	test.equals(sql, 'SELECT * FROM items WHERE `made` = 2013');
+	sql = items.clone().set_timezone('-05:00').select({made : newYear}).buildQuery();
+	test.equals(sql, 'SELECT * FROM items WHERE `made` = 2012');
+
+	test.done();
+};
+
+exports['custom'] = function(test) {
+	var errors = [];
+	db.set_log(function(msg) { errors.push(msg); });
+	db.set_log_level(db.l_error);
+
+	test.strictEqual(db.types.money, money);
+
+	var sql = orders.insert({total : 12.345, location : {x : 1.5, y : -2}}).buildQuery();
+	test.equals(sql, 'INSERT INTO orders SET `total` = 1235, `location` = POINT(1.5 -2)');
+
+	var query = orders.select({total : [1, 2.5], location : null}).toSQL();
+	test.equals(query.sql, 'SELECT * FROM orders WHERE `total` IN (?, ?) AND `location` = ?');
+	test.deepEqual(query.values, [100, 250, null]);
+	test.equals(errors.length, 0);
+
+	orders.update({total : 'lots'}).buildQuery();
+	test.equals(errors.length, 1);
+
+	var rows = orders.select({}).decodeRows([{id : 1, total : 1999}, {id : 2, total : null}]);
+	test.deepEqual(rows, [{id : 1, total : 19.99}, {id : 2, total : null}]);
+
+	db.set_log(null);
+	db.set_log_level(db.l_none);
+	test.done();
+};
+
+exports['dates'] = function(test) {
+	var errors = [];
+	db.set_log(function(msg) { errors.push(msg); });
+	db.set_log_level(db.l_error);
+
+	var date = new Date(Date.UTC(2013, 0, 5, 3, 4, 5, 67));
+	var utc = events.clone().set_timezone('utc');
+
+	var sql = utc.select({day : date, starts : db.$lt(date), logged : date}).buildQuery();
+	test.equals(sql, 'SELECT * FROM events WHERE `day` = \'2013-01-05\' AND `starts` < \'2013-01-05 03:04:05\' AND `logged` = \'2013-01-05 03:04:05.067\'');
+
+	sql = utc.set_timezone('-05:00').select({day : date, starts : date}).buildQuery();
+	test.equals(sql, 'SELECT * FROM events WHERE `day` = \'2013-01-04\' AND `starts` = \'2013-01-04 22:04:05\'');
+
+	sql = utc.set_timezone('Asia/Kolkata').select({starts : date}).buildQuery();
+	test.equals(sql, 'SELECT * FROM events WHERE `starts` = \'2013-01-05 08:34:05\'');
+
+	sql = utc.set_timezone(null).select({day : '2013-02-03', starts : '2013-02-03T04:05:06'}).buildQuery();
+	test.equals(sql, 'SELECT * FROM events WHERE `day` = \'2013-02-03\' AND `starts` = \'2013-02-03 04:05:06\'');
+	test.equals(errors.length, 0);
+
+	test.throws(function() { utc.set_timezone('Mars/Olympus_Mons'); }, /Unknown timezone/);
+	test.throws(function() { db.set_timezone('Mars/Olympus_Mons'); }, /Unknown timezone/);
+	test.equals(utc.get_timezone(), db.dialects.mysql.timezone);
+
+	// Invalid dates are rejected even outside of strict mode, while null is sent as NULL
+	test.throws(function() { events.select({starts : 'not a date'}).buildQuery(); }, db.ValidationError);
+	test.throws(function() { events.update({day : new Date(NaN)}).buildQuery(); }, db.ValidationError);
+	sql = events.update({day : null, starts : null}).buildQuery();
+	test.equals(sql, 'UPDATE events SET `day` = NULL, `starts` = NULL');
+	test.strictEqual(events.handle_datetime(null, 'starts'), null);
+	test.equals(errors.length, 0);
+
+	db.set_timezone('+01:00');
+	sql = events.select({starts : date}).buildQuery();
+	test.equals(sql, 'SELECT * FROM events WHERE `starts` = \'2013-01-05 04:04:05\'');
+	test.deepEqual(events.clone().set_decode(true).convert_row({starts : '2013-01-05 04:04:05.067'}), {starts : date});
+	test.deepEqual(events.convert_row({starts : '2013-01-05 04:04:05.067'}), {starts : '2013-01-05 04:04:05.067'});
+	db.set_timezone(null);
+
+	db.set_log(null);
+	db.set_log_level(db.l_none);
+	test.done();
+};
+
+module.exports = exports;
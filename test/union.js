@@ -0,0 +1,88 @@
+/**
+ * Tests for compound queries, which combine select queries with UNION and friends
+ */
+
+var db = require('../lib-cov/db-filters');
+
+var users = new db('users', {
+	id : db.int_t,
+	user : [db.varchar_t, 32],
+	registered : db.datetime_t
+}, {});
+
+var posts = new db('posts', {
+	id : db.int_t,
+	userId : db.int_t,
+	posted : db.datetime_t
+}, {});
+
+exports = {};
+
+exports['union'] = function(test) {
+	var sql = db.union(users.select({id : 1}).fields('id'), posts.select({userId : 1}).fields('userId')).buildQuery();
+	test.equals(sql, 'SELECT `id` FROM users WHERE `id` = 1 UNION SELECT `userId` FROM posts WHERE `userId` = 1');
+
+	sql = db.union_all([users.select().fields(['id', 'a']), posts.select().fields('id'), posts.select().fields('userId')])
+			.order(db.$desc('a'))
+			.limit(10, 5)
+			.buildQuery();
+	test.equals(sql, 'SELECT `id` AS a FROM users UNION ALL SELECT `id` FROM posts UNION ALL SELECT `userId` FROM posts ORDER BY `a` DESC LIMIT 10, 5');
+
+	test.throws(function() { db.union(); }, db.QueryError);
+	test.throws(function() { db.intersect([]); }, db.QueryError);
+
+	test.done();
+};
+
+exports['nested'] = function(test) {
+	var query = db.except(users.select().fields('id'), db.intersect(posts.select().fields('userId'), users.select().fields('id').order('id').limit(3)));
+
+	// INTERSECT and EXCEPT need MySQL 8.0.31, so they must be enabled for it
+	test.throws(function() { query.buildQuery(); }, db.QueryError);
+	test.throws(function() { db.intersect(users.select().fields('id'), posts.select().fields('userId')).buildQuery(); }, db.QueryError);
+
+	db.dialects.mysql.intersect = true;
+	var sql = query.buildQuery();
+	db.dialects.mysql.intersect = false;
+	test.equals(sql, 'SELECT `id` FROM users EXCEPT (SELECT `userId` FROM posts INTERSECT (SELECT `id` FROM users ORDER BY `id` LIMIT 3))');
+
+	sql = db.intersect(users.clone().set_dialect('postgres').select().fields('id'), posts.clone().set_dialect('postgres').select().fields('userId')).buildQuery();
+	test.equals(sql, 'SELECT "id" FROM "users" INTERSECT SELECT "userId" FROM "posts"');
+
+	sql = users.select({id : db.$in(db.union(users.select({user : 'a'}).fields('id'), posts.select().fields('userId')))}).buildQuery();
+	test.equals(sql, 'SELECT * FROM users WHERE `id` IN (SELECT `id` FROM users WHERE `user` = \'a\' UNION SELECT `userId` FROM posts)');
+
+	test.done();
+};
+
+exports['parameterized'] = function(test) {
+	var query = db.union(users.select({user : 'bob'}).fields('id'), posts.select({userId : 2}).fields('id')).limit(4).toSQL();
+	test.equals(query.sql, 'SELECT `id` FROM users WHERE `user` = ? UNION SELECT `id` FROM posts WHERE `userId` = ? LIMIT ?');
+	test.deepEqual(query.values, ['bob', 2, 4]);
+
+	var pg = users.clone().set_dialect('postgres');
+	query = db.union(pg.select({user : 'bob'}), pg.select({id : 3})).toSQL();
+	test.equals(query.sql, 'SELECT * FROM "users" WHERE "user" = $1 UNION SELECT * FROM "users" WHERE "id" = $2');
+	test.deepEqual(query.values, ['bob', 3]);
+
+	test.done();
+};
+
+exports['exec'] = function(test) {
+	var queries = [];
+	var filter = users.clone();
+	filter.set_conn({
+		query : function(query, cb) {
+			queries.push(query);
+			cb(null, [{id : 1}]);
+		}
+	});
+
+	db.union(filter.select().fields('id'), posts.select().fields('id')).exec().then(function(rows) {
+		test.deepEqual(rows, [{id : 1}]);
+		test.equals(queries[0].sql, 'SELECT `id` FROM users UNION SELECT `id` FROM posts');
+		test.done();
+	});
+};
+
+module.exports = exports;
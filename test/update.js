@@ -34,6 +34,14 @@ exports['increment'] = function(test) {
 	test.done();
 };
 
+exports['parameterized'] = function(test) {
+	var query = users.update({post_count : db.$add(1), user : 'greg'}, {id : 5}).limit(1).toSQL();
+	test.equals(query.sql, 'UPDATE users SET `post_count` = `post_count` + ?, `user` = ? WHERE `id` = ? LIMIT ?');
+	test.deepEqual(query.values, [1, 'greg', 5, 1]);
+
+	test.done();
+};
+
 exports['limit'] = function(test) {
 	var sql = users.update({post_count : 100}).limit(5).buildQuery();
 	test.equals(sql, 'UPDATE users SET `post_count` = 100 LIMIT 5');
@@ -41,4 +49,34 @@ exports['limit'] = function(test) {
 	test.done();
 }
 
+exports['returning'] = function(test) {
+	// MySQL has no RETURNING clause, and leaving it out would return no rows
+	test.throws(function() { users.update({post_count : 0}, {id : 5}).returning('id').buildQuery(); }, db.QueryError);
+	test.throws(function() { users.insert({id : 5}).returning('id').buildQuery(); }, db.QueryError);
+	test.throws(function() { users.delete({id : 5}).returning('id').buildQuery(); }, db.QueryError);
+
+	test.done();
+};
+
+exports['join'] = function(test) {
+	var posts = new db('posts', {id : db.int_t, userId : db.int_t, deleted : db.int_t}, {});
+	var query = users.update({}, {id : 5}).alias('u').inner_join(posts, 'p').on(['id', 'userId']);
+	query.set({post_count : query.ref(1, 'id')}).set(1, {deleted : 0}).where(1, {deleted : 1});
+	test.equals(query.buildQuery(), 'UPDATE users AS u INNER JOIN posts AS p ON `u`.`id` = `p`.`userId` SET `u`.`post_count` = `p`.`id`, `p`.`deleted` = 0 WHERE `u`.`id` = 5 AND `p`.`deleted` = 1');
+
+	// Multiple-table updates allow neither ORDER BY nor LIMIT
+	test.throws(function() { query.limit(10).buildQuery(); }, db.QueryError);
+	query = users.update({post_count : 0}).inner_join(posts).on(['id', 'userId']).order('id');
+	test.throws(function() { query.buildQuery(); }, db.QueryError);
+
+	test.done();
+};
+
+exports['order'] = function(test) {
+	var sql = users.update({post_count : 0}, {post_count : db.$lt(0)}).order(db.$desc('registered'), 'id').limit(100).buildQuery();
+	test.equals(sql, 'UPDATE users SET `post_count` = 0 WHERE `post_count` < 0 ORDER BY `registered` DESC, `id` LIMIT 100');
+
+	test.done();
+};
+
 module.exports = exports;
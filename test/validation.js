@@ -0,0 +1,146 @@
+/**
+ * Strict validation mode tests
+ */
+
+var db = require('../lib-cov/db-filters');
+
+var users = new db('users', {
+	id : db.int_t,
+	user : [db.varchar_t, 8],
+	visits : db.bigint_t,
+	registered : db.datetime_t
+}, {
+	name : function(key, value, terms, options) {
+		terms.push(this.c.user.get('user', this, options) + ' = ' + this.handle_type('user', value, options));
+	}
+});
+
+var posts = new db('posts', {
+	id : db.int_t,
+	userId : db.int_t
+}, {});
+
+/**
+ * Builds a query, returning the ValidationError that it throws
+ */
+function get_error(query) {
+	try {
+		query.buildQuery();
+	}
+	catch (err) {
+		return err;
+	}
+	return null;
+}
+
+exports = {};
+
+exports['lenient'] = function(test) {
+	var sql = users.select({id : 'abc', user : 'a very long name', visits : 'x', email : 'a'}).buildQuery();
+	test.equals(sql, 'SELECT * FROM users WHERE `id` = 0 AND `user` = \'a very l\' AND `visits` = 0 AND `email` = \'a\'');
+
+	test.done();
+};
+
+exports['strict'] = function(test) {
+	var strict = users.clone().set_strict(true);
+
+	var err = get_error(strict.select({id : '12abc', user : 'a very long name', visits : -1, email : 'a', name : 'bob'}));
+	test.ok(err instanceof db.ValidationError);
+	test.ok(err instanceof Error);
+	test.ok(Error.isPrototypeOf(db.ValidationError));
+	test.equals(err.name, 'ValidationError');
+	test.deepEqual(err.errors, [
+		{table : 'users', column : 'id', value : '12abc', reason : 'is not an integer'},
+		{table : 'users', column : 'user', value : 'a very long name', reason : 'is longer than 8 characters'},
+		{table : 'users', column : 'visits', value : '-1', reason : 'is not an unsigned integer'},
+		{table : 'users', column : 'email', value : 'a', reason : 'is not a column'}
+	]);
+	test.equals(err.message, 'Invalid values: users.id is not an integer, users.user is longer than 8 characters, '
+		+ 'users.visits is not an unsigned integer, users.email is not a column');
+
+	var sql = strict.select({id : ' 12 ', registered : null, any : db.$or({user : 'bob', id : 3})}).buildQuery();
+	test.equals(sql, 'SELECT * FROM users WHERE `id` = 12 AND `registered` = NULL AND (`user` = \'bob\' OR `id` = 3)');
+
+	err = get_error(strict.insert([{id : 1, user : 'bob'}, {id : 'two', registered : 'never'}]));
+	test.deepEqual(err.errors.map(function(v) { return v.column; }), ['id', 'registered']);
+
+	test.throws(function() { strict.where({id : 'x'}); }, db.ValidationError);
+
+	test.done();
+};
+
+exports['joins and subqueries'] = function(test) {
+	db.set_strict(true);
+
+	var query = users.select({}, 'u')
+				.left_join(posts, 'p')
+				.on(['id', 'userId'], {userId : 'x'})
+				.where({id : db.$in(posts.select({title : 'a'}).fields('userId'))})
+				.fields(1, [db.$count('*'), 'n'])
+				.group('id')
+				.having(1, {n : db.$gt(2)});
+	var err = get_error(query);
+	test.deepEqual(err.errors, [
+		{table : 'posts', column : 'userId', value : 'x', reason : 'is not an integer'},
+		{table : 'posts', column : 'title', value : 'a', reason : 'is not a column'}
+	]);
+
+	test.strictEqual(get_error(users.as('u').select({id : 1})), null);
+	test.ok(get_error(users.as('u').select({id : 'x'})) instanceof db.ValidationError);
+	test.strictEqual(get_error(users.clone().set_strict(false).select({id : 'x'})), null);
+
+	db.set_strict(false);
+	test.done();
+};
+
+exports['upsert'] = function(test) {
+	var calls = 0;
+	var strict = new db('users', users.columns, {
+		name : function(key, value, terms, options) {
+			calls += 1;
+			users.special.name.call(this, key, value, terms, options);
+		}
+	}).set_strict(true);
+
+	// The row is decoded once, even though its columns are also used for the upsert
+	var err = get_error(strict.insert({id : '12abc', name : 'bob'}).on_duplicate());
+	test.deepEqual(err.errors, [{table : 'users', column : 'id', value : '12abc', reason : 'is not an integer'}]);
+	test.equals(calls, 1);
+
+	var query = strict.insert({id : 5, name : 'bob', visits : 3}).on_duplicate().toSQL();
+	test.equals(query.sql, 'INSERT INTO users SET `id` = ?, `user` = ?, `visits` = ? ON DUPLICATE KEY UPDATE `id` = VALUES(`id`), `visits` = VALUES(`visits`)');
+	test.deepEqual(query.values, [5, 'bob', '3']);
+	test.equals(calls, 2);
+
+	test.done();
+};
+
+exports['exec'] = function(test) {
+	var queries = [];
+	var strict = users.clone().set_strict(true);
+	strict.set_conn({
+		query : function(query, cb) {
+			queries.push(query);
+			cb(null, []);
+		}
+	});
+
+	strict.update({user : 'a very long name'}, {id : 1}).exec(function() {
+		test.ok(false, 'Success callback should not be called');
+	}, function(err) {
+		test.ok(err instanceof db.ValidationError);
+		test.equals(err.errors[0].column, 'user');
+	});
+
+	strict.delete({id : 'x'}).exec().then(function() {
+		test.ok(false, 'Promise should not resolve');
+		test.done();
+	}, function(err) {
+		test.ok(err instanceof db.ValidationError);
+		test.equals(queries.length, 0);
+		test.done();
+	});
+};
+
+module.exports = exports;